@@ -0,0 +1,162 @@
+import path from 'path';
+import { getDataDir, readJSON, writeJSON } from './storage.js';
+import { itemKey, itemKeys } from './history.js';
+import { escapeHtml } from './html-utils.js';
+
+export const EXPORT_FORMATS = ['markdown', 'json', 'html'];
+
+export function getBookmarksPath() {
+  return path.join(getDataDir(), 'bookmarks.json');
+}
+
+// Bookmarks are stored newest first as
+// [{ key, keys, title, url, source, discussionUrl?, tags, savedAt }]
+// where keys are those of every copy of a merged item
+export function loadBookmarks() {
+  const bookmarks = readJSON(getBookmarksPath(), []);
+  return Array.isArray(bookmarks) ? bookmarks : [];
+}
+
+function saveBookmarks(bookmarks) {
+  writeJSON(getBookmarksPath(), bookmarks);
+}
+
+// Bookmarks saved before merged items kept every key only have their own
+function keysOf(bookmark) {
+  return Array.isArray(bookmark.keys) ? bookmark.keys : [bookmark.key];
+}
+
+// The keys of every saved item, for matching items as they are listed
+export function bookmarkedKeys(bookmarks) {
+  return new Set(bookmarks.flatMap(keysOf));
+}
+
+// An item is saved when any of its copies is
+function matches(bookmark, keys) {
+  return keysOf(bookmark).some((key) => keys.includes(key));
+}
+
+export function isBookmarked(bookmarks, item) {
+  const keys = itemKeys(item);
+  return bookmarks.some((bookmark) => matches(bookmark, keys));
+}
+
+// Save an item, or remove it when it is already saved. Returns whether the
+// item is bookmarked afterwards.
+export function toggleBookmark(item) {
+  const bookmarks = loadBookmarks();
+  const keys = itemKeys(item);
+
+  if (bookmarks.some((bookmark) => matches(bookmark, keys))) {
+    saveBookmarks(bookmarks.filter((bookmark) => !matches(bookmark, keys)));
+    return false;
+  }
+
+  const bookmark = {
+    key: itemKey(item),
+    keys,
+    title: item.title,
+    url: item.url,
+    source: item.source ? item.source.name : item.provider,
+    tags: [],
+    savedAt: new Date().toISOString()
+  };
+  if (item.discussionUrl && item.discussionUrl !== item.url) {
+    bookmark.discussionUrl = item.discussionUrl;
+  }
+  saveBookmarks([bookmark, ...bookmarks]);
+  return true;
+}
+
+// Find by URL or by the 1-based position shown in `bookmarks list`
+function findBookmark(bookmarks, target) {
+  const index = /^\d+$/.test(target)
+    ? parseInt(target) - 1
+    : bookmarks.findIndex((bookmark) => bookmark.url === target || keysOf(bookmark).includes(target));
+
+  if (index < 0 || index >= bookmarks.length) {
+    throw new Error(`No bookmark matches "${target}"`);
+  }
+  return index;
+}
+
+export function removeBookmark(target) {
+  const bookmarks = loadBookmarks();
+  const [removed] = bookmarks.splice(findBookmark(bookmarks, String(target)), 1);
+  saveBookmarks(bookmarks);
+  return removed;
+}
+
+// Tags are lowercase words; "#rust, later" and "rust later" both work
+export function parseTags(input) {
+  const tags = String(input)
+    .split(/[\s,]+/)
+    .map((tag) => tag.replace(/^#/, '').toLowerCase())
+    .filter(Boolean);
+  return [...new Set(tags)];
+}
+
+// Replace the tags of a bookmark
+export function tagBookmark(target, tags) {
+  const bookmarks = loadBookmarks();
+  const bookmark = bookmarks[findBookmark(bookmarks, String(target))];
+  bookmark.tags = parseTags(tags.join(' '));
+  saveBookmarks(bookmarks);
+  return bookmark;
+}
+
+function toMarkdown(bookmarks) {
+  const lines = bookmarks.map((bookmark) => {
+    const title = bookmark.title.replace(/([[\]\\])/g, '\\$1');
+    const details = [bookmark.source, `saved ${bookmark.savedAt.slice(0, 10)}`]
+      .concat(bookmark.discussionUrl ? [`[discussion](${bookmark.discussionUrl})`] : [])
+      .concat(bookmark.tags.map((tag) => `#${tag}`))
+      .filter(Boolean);
+    return `- [${title}](${bookmark.url}) - ${details.join(' · ')}`;
+  });
+  return ['# Reading list', '', ...lines, ''].join('\n');
+}
+
+// The Netscape bookmark file format understood by every browser's importer
+function toNetscapeHtml(bookmarks) {
+  const entries = bookmarks.map((bookmark) => {
+    const added = Math.floor(new Date(bookmark.savedAt).getTime() / 1000);
+    const tags = bookmark.tags.length > 0 ? ` TAGS="${escapeHtml(bookmark.tags.join(','))}"` : '';
+    return `    <DT><A HREF="${escapeHtml(bookmark.url)}" ADD_DATE="${added}"${tags}>${escapeHtml(bookmark.title)}</A>`;
+  });
+  return [
+    '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    '<TITLE>Bookmarks</TITLE>',
+    '<H1>Bookmarks</H1>',
+    '<DL><p>',
+    '    <DT><H3>TechScope reading list</H3>',
+    '    <DL><p>',
+    ...entries.map((entry) => `    ${entry}`),
+    '    </DL><p>',
+    '</DL><p>',
+    ''
+  ].join('\n');
+}
+
+export function exportBookmarks(bookmarks, format) {
+  switch (format) {
+    case 'markdown':
+      return toMarkdown(bookmarks);
+    case 'json':
+      return JSON.stringify(bookmarks, null, 2) + '\n';
+    case 'html':
+      return toNetscapeHtml(bookmarks);
+    default:
+      throw new Error(`Unknown export format "${format}". Use one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+}
+
+// Guess the export format from a file name, e.g. reading-list.md
+export function formatFromPath(file) {
+  const extension = path.extname(file).toLowerCase();
+  if (extension === '.md' || extension === '.markdown') return 'markdown';
+  if (extension === '.json') return 'json';
+  if (extension === '.html' || extension === '.htm') return 'html';
+  return null;
+}
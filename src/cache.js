@@ -0,0 +1,69 @@
+import path from 'path';
+import { getCacheDir, readJSON, writeJSON } from './storage.js';
+
+// Items are dropped from the cache once they have not been fetched for a week
+const ITEM_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+export function getCachePath() {
+  return path.join(getCacheDir(), 'items.json');
+}
+
+// The cache is { [key]: { fetchedAt, ids, items: { [itemId]: { cachedAt, item } } } }
+// keyed by provider id (plus its options, if any), where ids lists the items of the last successful fetch in order. A damaged
+// cache file is treated as empty; it is only a copy of what the sources serve.
+function loadCache() {
+  try {
+    const cache = readJSON(getCachePath(), {});
+    return cache && typeof cache === 'object' && !Array.isArray(cache) ? cache : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+// Items of a provider's last successful fetch, or null when nothing is cached:
+// { items, fetchedAt }
+export function readCachedItems(key) {
+  const entry = loadCache()[key];
+  if (!entry || !Array.isArray(entry.ids)) {
+    return null;
+  }
+
+  const items = entry.ids
+    .map((id) => entry.items && entry.items[id] && entry.items[id].item)
+    .filter(Boolean);
+  return items.length > 0 ? { items, fetchedAt: entry.fetchedAt } : null;
+}
+
+// Remember a provider's fetched items. Writing is best effort: a read-only
+// cache directory must not break fetching.
+export function writeCachedItems(key, items, now = Date.now()) {
+  const cache = loadCache();
+  const previous = cache[key] && cache[key].items ? cache[key].items : {};
+
+  const entries = {};
+  for (const [id, entry] of Object.entries(previous)) {
+    if (entry && now - entry.cachedAt < ITEM_MAX_AGE) {
+      entries[id] = entry;
+    }
+  }
+  items.forEach((item) => {
+    entries[item.id] = { cachedAt: now, item };
+  });
+
+  cache[key] = {
+    fetchedAt: new Date(now).toISOString(),
+    ids: items.map((item) => item.id),
+    items: entries
+  };
+
+  try {
+    writeJSON(getCachePath(), cache);
+  } catch (error) {
+    // Ignored, see above
+  }
+}
+
+// Whether a cached fetch is younger than maxAge milliseconds
+export function isFresh(cached, maxAge, now = Date.now()) {
+  return Boolean(cached && maxAge > 0 && now - new Date(cached.fetchedAt).getTime() < maxAge);
+}
@@ -0,0 +1,378 @@
+// Topic clustering shared by every dashboard.
+//
+// Titles and tags are tokenized, stopwords dropped and words stemmed; each
+// item becomes a TF-IDF vector and items are grouped by average-linkage
+// agglomerative clustering on cosine similarity, merging the closest pair of
+// groups until no pair is at least `threshold` similar.
+
+export const DEFAULT_THRESHOLD = 0.3;
+
+export const STOPWORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'am', 'an', 'and',
+  'any', 'are', 'as', 'at', 'be', 'because', 'been', 'before', 'being', 'below',
+  'between', 'both', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'doing',
+  'down', 'during', 'each', 'even', 'ever', 'every', 'few', 'for', 'from',
+  'further', 'get', 'gets', 'got', 'had', 'has', 'have', 'having', 'he', 'her',
+  'here', 'hers', 'him', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it',
+  'its', 'itself', 'just', 'let', 'like', 'made', 'make', 'makes', 'many', 'may',
+  'me', 'might', 'more', 'most', 'much', 'must', 'my', 'new', 'no', 'nor', 'not',
+  'now', 'of', 'off', 'on', 'once', 'one', 'only', 'or', 'other', 'our', 'ours',
+  'out', 'over', 'own', 'really', 'same', 'she', 'should', 'so', 'some', 'still',
+  'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these',
+  'they', 'this', 'those', 'through', 'to', 'too', 'under', 'until', 'up', 'us',
+  'use', 'used', 'using', 'very', 'via', 'vs', 'was', 'way', 'we', 'were', 'what',
+  'when', 'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with',
+  'without', 'would', 'yet', 'you', 'your', 'yours',
+  // Hacker News title prefixes
+  'show', 'ask', 'tell', 'hn',
+  // Announcement words that would otherwise pair unrelated launches
+  'announcing', 'announced', 'announces', 'introducing', 'introduces',
+  'release', 'released', 'releases', 'launch', 'launched', 'launches',
+  'available', 'update', 'updates', 'version'
+]);
+
+// Significant words of a text in their original casing, keeping tech
+// spellings such as C++, C#, Node.js and .NET intact. Version numbers (1.80)
+// are kept, bare numbers are not.
+function significantWords(text = '') {
+  const words = text.match(/\.?[a-z0-9][a-z0-9+#]*(?:\.[a-z0-9]+)*/gi) || [];
+  return words
+    .map((word) => (word.startsWith('.') && !/^\.net$/i.test(word) ? word.slice(1) : word))
+    .filter((word) => word.length > 1 && !STOPWORDS.has(word.toLowerCase()) && !/^\d+$/.test(word));
+}
+
+export function tokenize(text = '') {
+  return significantWords(text).map((word) => word.toLowerCase());
+}
+
+const VOWEL = /[aeiouy]/;
+
+// Strip a suffix when a reasonable stem (with a vowel) is left
+function stripSuffix(word, suffix, replacement = '') {
+  if (!word.endsWith(suffix)) return null;
+  const stem = word.slice(0, -suffix.length);
+  return stem.length >= 2 && VOWEL.test(stem) ? stem + replacement : null;
+}
+
+// Light suffix-stripping stemmer (a subset of Porter's steps) so that
+// "release", "released" and "releases" share a term
+export function stem(word) {
+  if (word.length <= 3 || !/^[a-z]+$/.test(word)) {
+    return word;
+  }
+
+  // Plurals
+  if (word.endsWith('sses')) {
+    word = word.slice(0, -2);
+  } else if (word.endsWith('ies') && word.length > 4) {
+    word = `${word.slice(0, -3)}y`;
+  } else if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) {
+    word = word.slice(0, -1);
+  }
+
+  // Derivational endings
+  const derived = [
+    ['ization', 'ize'], ['ational', 'ate'], ['fulness', 'ful'], ['iveness', 'ive'],
+    ['ation', 'ate'], ['ness', ''], ['ment', ''], ['ally', 'al'], ['ly', '']
+  ];
+  for (const [suffix, replacement] of derived) {
+    const stripped = stripSuffix(word, suffix, replacement);
+    if (stripped && stripped.length >= 3) {
+      word = stripped;
+      break;
+    }
+  }
+
+  // -ed / -ing, undoing doubled consonants (running -> run)
+  const base = stripSuffix(word, 'ing') || stripSuffix(word, 'ed');
+  if (base && base.length >= 3) {
+    word = /([^aeiouylsz])\1$/.test(base) ? base.slice(0, -1) : base;
+  }
+
+  // Trailing e so that "release" and "releas(ed)" meet
+  if (word.length > 4 && word.endsWith('e')) {
+    word = word.slice(0, -1);
+  }
+
+  return word;
+}
+
+// Terms of an item: stemmed title words plus its tags
+export function itemTerms(item) {
+  const tagWords = (item.tags || []).flatMap((tag) => tokenize(String(tag)));
+  return [...tokenize(item.title), ...tagWords].map(stem);
+}
+
+// L2-normalized TF-IDF vectors (Map term -> weight), one per document
+export function buildVectors(documents) {
+  const documentFrequency = new Map();
+  documents.forEach((terms) => {
+    new Set(terms).forEach((term) => {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    });
+  });
+
+  const count = documents.length;
+  return documents.map((terms) => {
+    const vector = new Map();
+    terms.forEach((term) => vector.set(term, (vector.get(term) || 0) + 1));
+
+    let norm = 0;
+    for (const [term, frequency] of vector) {
+      // Smoothed IDF keeps terms shared by every document above zero
+      const weight = (frequency / terms.length) * (Math.log((count + 1) / (documentFrequency.get(term) + 1)) + 1);
+      vector.set(term, weight);
+      norm += weight * weight;
+    }
+
+    norm = Math.sqrt(norm);
+    if (norm === 0) {
+      return new Map(); // nothing but stopwords
+    }
+    for (const [term, weight] of vector) {
+      vector.set(term, weight / norm);
+    }
+    return vector;
+  });
+}
+
+// Cosine similarity of two normalized vectors
+export function cosineSimilarity(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [term, weight] of small) {
+    const other = large.get(term);
+    if (other) dot += weight * other;
+  }
+  return dot;
+}
+
+// Average-linkage agglomerative clustering over a similarity matrix. Returns
+// groups of indices in input order. Each row caches its most similar active
+// neighbour, so a merge only rescans the rows it affected.
+function agglomerate(similarity, threshold) {
+  const size = similarity.length;
+  const members = similarity.map((row, index) => [index]);
+  const active = new Set(members.keys());
+  const best = new Array(size);
+
+  const findBest = (i) => {
+    let bestIndex = -1;
+    for (const j of active) {
+      if (j !== i && (bestIndex === -1 || similarity[i][j] > similarity[i][bestIndex])) {
+        bestIndex = j;
+      }
+    }
+    best[i] = bestIndex;
+  };
+  active.forEach(findBest);
+
+  while (active.size > 1) {
+    // Closest pair; ties go to the earliest group for deterministic output
+    let i = -1;
+    for (const k of active) {
+      if (best[k] !== -1 && (i === -1 || similarity[k][best[k]] > similarity[i][best[i]])) {
+        i = k;
+      }
+    }
+    if (i === -1 || similarity[i][best[i]] < threshold) break;
+
+    const j = best[i];
+    const [keep, drop] = i < j ? [i, j] : [j, i];
+    const keepSize = members[keep].length;
+    const dropSize = members[drop].length;
+
+    active.delete(drop);
+    for (const k of active) {
+      if (k === keep) continue;
+      const merged = (keepSize * similarity[keep][k] + dropSize * similarity[drop][k]) / (keepSize + dropSize);
+      similarity[keep][k] = merged;
+      similarity[k][keep] = merged;
+    }
+    members[keep].push(...members[drop]);
+
+    findBest(keep);
+    for (const k of active) {
+      if (k === keep) continue;
+      if (best[k] === keep || best[k] === drop) {
+        findBest(k);
+      } else if (similarity[k][keep] > similarity[k][best[k]]) {
+        best[k] = keep;
+      }
+    }
+  }
+
+  return [...active].map((index) => members[index].sort((a, b) => a - b));
+}
+
+// Canonical spelling of tech names that often appear in lowercase tags
+const KNOWN_NAMES = new Map([
+  'AI', 'API', 'AWS', 'Android', 'Apple', 'C#', 'C++', 'CSS', 'ChatGPT', 'Chrome',
+  'Claude', 'Deno', 'Django', 'Docker', 'Elixir', 'Firefox', 'GPT', 'Git', 'GitHub',
+  'GitLab', 'GNOME', 'Go', 'Google', 'GraphQL', 'HTML', 'HTTP', 'iOS', 'Java',
+  'JavaScript', 'JSON', 'Kotlin', 'Kubernetes', 'Linux', 'LLM', 'LLMs', 'macOS',
+  'Meta', 'Microsoft', 'MySQL', 'Next.js', 'Node.js', 'npm', 'Nvidia', 'OpenAI',
+  'Postgres', 'PostgreSQL', 'Python', 'React', 'Redis', 'Ruby', 'Rust', 'SQL',
+  'SQLite', 'Svelte', 'Swift', 'TypeScript', 'Ubuntu', 'Vue', 'WebAssembly',
+  'Windows', 'Zig', '.NET'
+].map((name) => [name.toLowerCase(), name]));
+
+const HEADLINE_TERMS = 3;
+const MAX_HEADLINE_LENGTH = 40;
+
+// Spell a term the way the items do: known tech names first, otherwise the
+// form used most often in titles, falling back to tags
+function displayForm(forms) {
+  const lower = forms.keys().next().value.toLowerCase();
+  if (KNOWN_NAMES.has(lower)) {
+    return KNOWN_NAMES.get(lower);
+  }
+  return [...forms].sort((a, b) => b[1] - a[1])[0][0];
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// A single title shortened to a headline: HN prefixes dropped, cut at a word
+function shortenTitle(title) {
+  const cleaned = title.replace(/^(show|ask|tell|launch) hn:\s*/i, '').trim() || title;
+  if (cleaned.length <= MAX_HEADLINE_LENGTH) {
+    return cleaned;
+  }
+  const cut = cleaned.slice(0, MAX_HEADLINE_LENGTH + 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > 10 ? cut.slice(0, lastSpace) : cut.slice(0, MAX_HEADLINE_LENGTH)).replace(/[\s,:;.-]+$/, '')}…`;
+}
+
+// Headline for a group of items: the terms shared by the most items, in the
+// order they read in the title that mentions most of them. Groups of one, or
+// groups without a shared term, use the (shortened) title of the first item.
+export function clusterHeadline(items) {
+  if (items.length === 0) return '';
+
+  // term -> { items sharing it, surface forms seen in titles and in tags }
+  const terms = new Map();
+  items.forEach((item, index) => {
+    const titleWords = significantWords(item.title).map((word) => [word, 2]);
+    const tagWords = (item.tags || []).flatMap((tag) => significantWords(String(tag))).map((word) => [word, 1]);
+    for (const [word, weight] of [...titleWords, ...tagWords]) {
+      const term = stem(word.toLowerCase());
+      if (!terms.has(term)) {
+        terms.set(term, { items: new Set(), forms: new Map(), firstSeen: index });
+      }
+      const entry = terms.get(term);
+      entry.items.add(index);
+      entry.forms.set(word, (entry.forms.get(word) || 0) + weight);
+    }
+  });
+
+  const shared = [...terms.entries()]
+    .filter(([, entry]) => entry.items.size >= 2)
+    .sort((a, b) => b[1].items.size - a[1].items.size || a[1].firstSeen - b[1].firstSeen)
+    .slice(0, HEADLINE_TERMS);
+  if (shared.length === 0) {
+    return shortenTitle(items[0].title);
+  }
+
+  // Order the chosen terms as the best matching title has them; terms only
+  // found in tags go last
+  const titleTerms = items.map((item) => significantWords(item.title).map((word) => stem(word.toLowerCase())));
+  const reference = titleTerms.reduce((best, candidate) => {
+    const count = (list) => shared.filter(([term]) => list.includes(term)).length;
+    return count(candidate) > count(best) ? candidate : best;
+  });
+  const position = (term) => (reference.includes(term) ? reference.indexOf(term) : Infinity);
+  const ordered = [...shared].sort((a, b) => position(a[0]) - position(b[0]));
+
+  return capitalize(ordered.map(([, entry]) => displayForm(entry.forms)).join(' '));
+}
+
+// Group items into topics, largest first:
+// [{ id, headline, items, type }]
+export function clusterItems(items, threshold = DEFAULT_THRESHOLD) {
+  const vectors = buildVectors(items.map(itemTerms));
+  const similarity = vectors.map((a, i) =>
+    vectors.map((b, j) => (i === j ? 1 : cosineSimilarity(a, b)))
+  );
+
+  return agglomerate(similarity, threshold)
+    .sort((a, b) => b.length - a.length || a[0] - b[0])
+    .map((indices, index) => {
+      const group = indices.map((itemIndex) => items[itemIndex]);
+      return {
+        id: index,
+        headline: clusterHeadline(group),
+        items: group,
+        type: group[0].type
+      };
+    });
+}
+
+// Add fresh items to existing topics instead of starting over. Items already
+// shown are updated in place, matched by any of the keys `keys(item)` returns
+// so a story that gained or lost copies replaces the one shown; shown items
+// that are now one story keep only the first. A new item joins the topic it is
+// most similar to on average, if that reaches `threshold`, and the rest form
+// new topics. Ids and headlines of existing topics are kept so the dashboard
+// can stay on the same topic. Returns { clusters, added }.
+export function mergeClusters(clusters, items, { threshold = DEFAULT_THRESHOLD, keys }) {
+  const fresh = new Map();
+  items.forEach((item) => keys(item).forEach((key) => {
+    if (!fresh.has(key)) fresh.set(key, item);
+  }));
+
+  const replaced = new Set();
+  const merged = clusters
+    .map((cluster) => ({
+      ...cluster,
+      items: cluster.items.flatMap((item) => {
+        const update = keys(item).map((key) => fresh.get(key)).find(Boolean);
+        if (!update) return [item];
+        if (replaced.has(update)) return [];
+        replaced.add(update);
+        return [update];
+      })
+    }))
+    .filter((cluster) => cluster.items.length > 0);
+
+  const added = [...new Set(fresh.values())].filter((item) => !replaced.has(item));
+  if (added.length === 0) {
+    return { clusters: merged, added };
+  }
+
+  const existing = merged.flatMap((cluster) => cluster.items);
+  const owners = merged.flatMap((cluster, index) => cluster.items.map(() => index));
+  const sizes = merged.map((cluster) => cluster.items.length);
+  const vectors = buildVectors([...existing, ...added].map(itemTerms));
+
+  const leftovers = [];
+  added.forEach((item, offset) => {
+    const vector = vectors[existing.length + offset];
+    const totals = new Array(merged.length).fill(0);
+    existing.forEach((other, index) => {
+      totals[owners[index]] += cosineSimilarity(vector, vectors[index]);
+    });
+
+    let best = -1;
+    totals.forEach((total, index) => {
+      if (total / sizes[index] >= threshold && (best === -1 || total / sizes[index] > totals[best] / sizes[best])) {
+        best = index;
+      }
+    });
+    if (best === -1) {
+      leftovers.push(item);
+    } else {
+      merged[best].items.push(item);
+    }
+  });
+
+  let nextId = Math.max(-1, ...merged.map((cluster) => cluster.id)) + 1;
+  const created = clusterItems(leftovers, threshold).map((cluster) => ({ ...cluster, id: nextId++ }));
+
+  // Largest first like clusterItems; the sort is stable so ties keep their place
+  return {
+    clusters: [...merged, ...created].sort((a, b) => b.items.length - a.items.length),
+    added
+  };
+}
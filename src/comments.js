@@ -0,0 +1,216 @@
+import open from "open";
+import chalk from "chalk";
+import { accent, wrapText } from "./ui-utils.js";
+import { htmlToText } from "./html-utils.js";
+import { formatRelativeTime } from "./time-utils.js";
+import { fetchHackerNewsItem } from "./providers/hackernews.js";
+
+const PAGE_SIZE = 20; // top-level threads loaded at a time
+
+// Fetch comments by id; the HTTP layer limits how many are in flight. Deleted
+// and dead comments are dropped; failures only matter when nothing at all
+// could be loaded.
+async function fetchComments(ids, depth) {
+  const results = await Promise.allSettled(ids.map(fetchHackerNewsItem));
+
+  const failed = results.filter((result) => result.status === "rejected");
+  if (ids.length > 0 && failed.length === results.length) {
+    throw failed[0].reason;
+  }
+
+  return results
+    .filter((result) => result.status === "fulfilled" && result.value)
+    .map((result) => result.value)
+    .filter((comment) => !comment.deleted && !comment.dead)
+    .map((comment) => ({
+      id: comment.id,
+      author: comment.by,
+      time: comment.time * 1000,
+      text: htmlToText(comment.text),
+      kids: comment.kids || [],
+      depth,
+      children: null, // replies, fetched when the thread is first expanded
+      collapsed: true,
+      loading: false,
+    }));
+}
+
+// Comments currently on screen, depth first
+function visibleComments(nodes) {
+  return nodes.flatMap((node) => [
+    node,
+    ...(node.collapsed || !node.children ? [] : visibleComments(node.children)),
+  ]);
+}
+
+function commentLines(node, isSelected, width) {
+  const indent = "  ".repeat(node.depth);
+  const cursor = isSelected ? accent("▶ ") : "  ";
+  const marker = node.kids.length === 0 ? "   " : chalk.dim(node.collapsed ? "[+]" : "[-]");
+  const replies = node.kids.length > 0 && node.collapsed
+    ? chalk.dim(` ${node.kids.length} ${node.kids.length === 1 ? "reply" : "replies"}`)
+    : "";
+  const status = node.loading ? chalk.dim(" loading...") : "";
+  const author = isSelected ? chalk.white.bold(node.author) : accent(node.author);
+
+  const header = `${cursor}${indent}${marker} ${author} ${chalk.dim(formatRelativeTime(node.time))}${replies}${status}`;
+  const body = wrapText(node.text, width - indent.length - 6)
+    .map((line) => `  ${indent}    ${isSelected ? line : chalk.gray(line)}`);
+
+  return [header, ...body, ""];
+}
+
+function displayComments(item, state) {
+  const width = Math.min(process.stdout.columns || 80, 120);
+  const height = process.stdout.rows || 24;
+
+  console.clear();
+  console.log(accent(chalk.bold(item.title)));
+  console.log(chalk.dim(
+    `${item.score || 0} points · by ${item.author || "unknown"} · ${formatRelativeTime(item.createdAt)} · ${item.comments || 0} comments`
+  ));
+  console.log("");
+
+  const footer = [
+    "",
+    `${chalk.dim("↑↓")} Move  ${chalk.dim("Enter/Space")} Expand/Collapse  ${chalk.dim("o")} Open on HN  ${chalk.dim("q/←")} Back`,
+  ];
+
+  if (state.message) {
+    console.log(chalk.dim(state.message));
+    footer.forEach((line) => console.log(line));
+    return;
+  }
+
+  // Lay out every visible comment, remembering where the selected one sits
+  const nodes = visibleComments(state.roots);
+  const lines = [];
+  let selectedStart = 0;
+  let selectedEnd = 0;
+  nodes.forEach((node, index) => {
+    if (index === state.cursor) selectedStart = lines.length;
+    lines.push(...commentLines(node, index === state.cursor, width));
+    if (index === state.cursor) selectedEnd = lines.length;
+  });
+
+  const remaining = state.threadIds.length - state.loadedThreads;
+  if (remaining > 0) {
+    lines.push(chalk.dim(`  ${remaining} more threads, keep scrolling to load them`));
+  }
+
+  // Scroll so the selected comment is on screen, starting with its header
+  const available = Math.max(height - 4 - footer.length, 5);
+  state.top = Math.min(state.top, Math.max(lines.length - available, 0));
+  if (selectedStart < state.top) {
+    state.top = selectedStart;
+  } else if (selectedEnd > state.top + available) {
+    state.top = Math.min(selectedStart, selectedEnd - available);
+  }
+
+  lines.slice(state.top, state.top + available).forEach((line) => console.log(line));
+  footer.forEach((line) => console.log(line));
+}
+
+// Threaded reader for an HN item's discussion. Takes over stdin (already in
+// raw mode) until the user goes back, then resolves.
+export async function runCommentsViewer(item) {
+  const stdin = process.stdin;
+  const state = {
+    threadIds: item.kids || [],
+    roots: [],
+    loadedThreads: 0, // thread ids requested so far, including deleted ones
+    cursor: 0,
+    top: 0,
+    message: "Loading comments...",
+    loadingPage: false,
+    closed: false,
+  };
+  // Loads may finish after the user went back; never draw over the dashboard
+  const render = () => {
+    if (!state.closed) displayComments(item, state);
+  };
+
+  const loadNextPage = async () => {
+    if (state.loadingPage || state.loadedThreads >= state.threadIds.length) return;
+    state.loadingPage = true;
+    try {
+      const ids = state.threadIds.slice(state.loadedThreads, state.loadedThreads + PAGE_SIZE);
+      state.roots.push(...await fetchComments(ids, 0));
+      state.loadedThreads += ids.length;
+    } finally {
+      state.loadingPage = false;
+    }
+  };
+
+  render();
+
+  return new Promise((resolve) => {
+    const handleKeyPress = async (key) => {
+      try {
+        if (key === "q" || key === "\u001B" || key === "\u001B[D" || key === "\u0003") {
+          state.closed = true;
+          stdin.removeListener("data", handleKeyPress);
+          resolve();
+          return;
+        }
+
+        if (key === "o" && item.discussionUrl) {
+          await open(item.discussionUrl);
+          return;
+        }
+
+        if (state.message) return;
+
+        const nodes = visibleComments(state.roots);
+        const node = nodes[state.cursor];
+
+        if (key === "\u001B[A" && state.cursor > 0) {
+          state.cursor--;
+        } else if (key === "\u001B[B") {
+          if (state.cursor < nodes.length - 1) {
+            state.cursor++;
+          } else {
+            await loadNextPage();
+            if (state.cursor < visibleComments(state.roots).length - 1) state.cursor++;
+          }
+        } else if ((key === "\r" || key === " " || key === "\u001B[C") && node && node.kids.length > 0) {
+          if (key === "\u001B[C" && !node.collapsed) return;
+          if (node.collapsed && !node.children) {
+            node.loading = true;
+            render();
+            try {
+              node.children = await fetchComments(node.kids, node.depth + 1);
+            } finally {
+              node.loading = false;
+            }
+          }
+          node.collapsed = !node.collapsed;
+        } else {
+          return;
+        }
+
+        render();
+      } catch (error) {
+        render();
+      }
+    };
+
+    stdin.on("data", handleKeyPress);
+
+    // First page of threads
+    if (state.threadIds.length === 0) {
+      state.message = "No comments yet.";
+      render();
+      return;
+    }
+    loadNextPage()
+      .then(() => {
+        state.message = state.roots.length === 0 ? "No comments to show." : null;
+        render();
+      })
+      .catch((error) => {
+        state.message = `Could not load comments: ${error.message}`;
+        render();
+      });
+  });
+}
@@ -0,0 +1,299 @@
+import path from 'path';
+import { getConfigDir, readJSON, writeJSON } from './storage.js';
+import { THEME_NAMES } from './themes.js';
+import { listProviders } from './providers/index.js';
+import { HN_FEED_NAMES } from './providers/hackernews.js';
+import { DEFAULT_SUBREDDITS } from './providers/reddit.js';
+import { LOBSTERS_FEEDS } from './providers/lobsters.js';
+import { compileFilter } from './filter.js';
+import { DEFAULT_THRESHOLD } from './clustering.js';
+import { SORT_MODES } from './ranking.js';
+
+export const DEFAULT_CONFIG = {
+  limit: 20,
+  sources: [],
+  exclude: [],
+  filter: '',
+  similarityThreshold: DEFAULT_THRESHOLD,
+  // Topic and item order: size, newest, score, comments, hot or source
+  sort: 'size',
+  // Source ids in order of preference for the source sort
+  sourcePriority: [],
+  theme: 'default',
+  // Hacker News list to read (top, new, best, ask, show, jobs or discover)
+  hnFeed: 'top',
+  // Leave out Hacker News stories with fewer points
+  minScore: 0,
+  // daily.dev tag feeds to read instead of the popular feed, e.g. ["react", "rust"]
+  dailyDevTags: [],
+  // GitHub repositories created within this many days, optionally narrowed
+  // to any of these languages and all of these topics
+  githubDays: 7,
+  githubLanguages: [],
+  githubTopics: [],
+  // Subreddits whose hot posts the reddit source mixes together
+  subreddits: DEFAULT_SUBREDDITS,
+  // Lobsters list to read (hottest or newest)
+  lobstersFeed: 'hottest',
+  // Minutes a fetch is reused before going back to the network (0 always fetches)
+  cacheTtl: 10,
+  // Show cached items at once and update them in the background
+  staleWhileRevalidate: true,
+  // Show a story posted to several sources once, listing every source
+  mergeDuplicates: true,
+  // Dashboard actions and the keys that trigger them
+  keyBindings: {
+    open: 'o',
+    refresh: 'r',
+    help: '?',
+    menu: 'm',
+    quit: 'q',
+    comments: 'c',
+    hideRead: 'h',
+    bookmark: 'b',
+    autoRefresh: 'a',
+    sort: 's',
+    preview: 'p'
+  }
+};
+
+function validateFilter(query) {
+  try {
+    compileFilter(query);
+    return true;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+function validateSourceIds(key, ids) {
+  const known = listProviders().map((provider) => provider.id);
+  const unknown = ids.find((id) => !known.includes(id));
+  return !unknown || `${key} contains unknown source "${unknown}". Available sources: ${known.join(', ')}`;
+}
+
+// Extra checks for settings whose type alone is not enough
+const VALIDATORS = {
+  sources: (value) => validateSourceIds('sources', value),
+  exclude: (value) => validateSourceIds('exclude', value),
+  sourcePriority: (value) => validateSourceIds('sourcePriority', value),
+  sort: (value) => SORT_MODES.includes(value)
+    || `sort must be one of: ${SORT_MODES.join(', ')}`,
+  filter: validateFilter,
+  limit: (value) => Number.isInteger(value) && value >= 1 && value <= 200
+    || 'limit must be a whole number between 1 and 200',
+  similarityThreshold: (value) => value > 0 && value <= 1
+    || 'similarityThreshold must be greater than 0 and at most 1',
+  cacheTtl: (value) => Number.isInteger(value) && value >= 0 && value <= 1440
+    || 'cacheTtl must be a whole number of minutes between 0 and 1440',
+  hnFeed: (value) => HN_FEED_NAMES.includes(value)
+    || `hnFeed must be one of: ${HN_FEED_NAMES.join(', ')}`,
+  dailyDevTags: (value) => value.every((tag) => /^[a-z0-9][a-z0-9.+#-]*$/.test(tag))
+    || 'dailyDevTags must be lowercase tags like react or c#',
+  githubDays: (value) => Number.isInteger(value) && value >= 1 && value <= 365
+    || 'githubDays must be a whole number of days between 1 and 365',
+  githubLanguages: (value) => value.every((language) => /^[a-z0-9][a-z0-9.+#-]*$/.test(language))
+    || 'githubLanguages must be lowercase names like rust or c++',
+  githubTopics: (value) => value.every((topic) => /^[a-z0-9][a-z0-9-]*$/.test(topic))
+    || 'githubTopics must be lowercase topics like cli or machine-learning',
+  subreddits: (value) => value.length > 0 && value.every((name) => /^[a-z0-9_]{2,21}$/i.test(name))
+    || 'subreddits must be one or more subreddit names like rust or programming',
+  lobstersFeed: (value) => LOBSTERS_FEEDS.includes(value)
+    || `lobstersFeed must be one of: ${LOBSTERS_FEEDS.join(', ')}`,
+  minScore: (value) => Number.isInteger(value) && value >= 0
+    || 'minScore must be a whole number of points, 0 or more',
+  theme: (value) => THEME_NAMES.includes(value)
+    || `theme must be one of: ${THEME_NAMES.join(', ')}`
+};
+
+export function getConfigPath() {
+  return path.join(getConfigDir(), 'config.json');
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Overlay saved values on the defaults, ignoring keys we do not know about
+function mergeWithDefaults(defaults, saved) {
+  const merged = {};
+  for (const [key, defaultValue] of Object.entries(defaults)) {
+    const value = isPlainObject(saved) ? saved[key] : undefined;
+    if (isPlainObject(defaultValue)) {
+      merged[key] = mergeWithDefaults(defaultValue, value);
+    } else if (Array.isArray(defaultValue)) {
+      merged[key] = Array.isArray(value) ? value : [...defaultValue];
+    } else {
+      merged[key] = value === undefined ? defaultValue : value;
+    }
+  }
+  return merged;
+}
+
+// Settings a hand edit broke fall back to their defaults, so one typo does not
+// stop the app. Returns the repaired config and a message per replaced value.
+function repairConfig(config) {
+  const repaired = structuredClone(config);
+  const problems = [];
+
+  for (const [key, defaultValue] of Object.entries(DEFAULT_CONFIG)) {
+    if (isPlainObject(defaultValue)) continue;
+    const valid = typeof repaired[key] === typeof defaultValue
+      ? validateConfigValue(key, repaired[key])
+      : `${key} must be a ${typeof defaultValue}`;
+    if (valid !== true) {
+      problems.push(`${valid} (using ${JSON.stringify(defaultValue)})`);
+      repaired[key] = structuredClone(defaultValue);
+    }
+  }
+
+  // Checked in order, so of two actions on one key the first goes back to its default
+  const defaultKeys = DEFAULT_CONFIG.keyBindings;
+  const keys = repaired.keyBindings;
+  for (const action of Object.keys(defaultKeys)) {
+    const valid = validateKeyBinding(action, keys[action], keys);
+    if (valid !== true) {
+      problems.push(`keyBindings.${action}: ${valid} (using "${defaultKeys[action]}")`);
+      keys[action] = defaultKeys[action];
+    }
+  }
+  // A default put back may clash with a key checked before it
+  if (Object.keys(defaultKeys).some((action) => validateKeyBinding(action, keys[action], keys) !== true)) {
+    problems.push('keyBindings still clash, using the default keys');
+    repaired.keyBindings = { ...defaultKeys };
+  }
+
+  return { config: repaired, problems };
+}
+
+// The config file over the defaults: { config, problems } where problems
+// describe the values that were replaced by their defaults
+export function readConfig() {
+  return repairConfig(mergeWithDefaults(DEFAULT_CONFIG, readJSON(getConfigPath(), {})));
+}
+
+export function loadConfig() {
+  return readConfig().config;
+}
+
+export function saveConfig(config) {
+  writeJSON(getConfigPath(), config);
+}
+
+function lookup(object, key) {
+  return key.split('.').reduce(
+    (value, part) => (isPlainObject(value) && part in value ? value[part] : undefined),
+    object
+  );
+}
+
+export function getConfigValue(config, key) {
+  const value = lookup(config, key);
+  if (value === undefined) {
+    throw new Error(`Unknown setting "${key}"`);
+  }
+  return value;
+}
+
+// Convert a command line string to the type of the setting's default value
+function coerceValue(key, defaultValue, rawValue) {
+  if (typeof defaultValue === 'number') {
+    const value = Number(rawValue);
+    if (rawValue === '' || isNaN(value)) {
+      throw new Error(`${key} must be a number`);
+    }
+    return value;
+  }
+  if (typeof defaultValue === 'boolean') {
+    if (!['true', 'false'].includes(rawValue)) {
+      throw new Error(`${key} must be true or false`);
+    }
+    return rawValue === 'true';
+  }
+  if (Array.isArray(defaultValue)) {
+    return rawValue.split(',').map((part) => part.trim()).filter(Boolean);
+  }
+  return rawValue;
+}
+
+// Keys the dashboard handles itself: search, next/previous match and 1-9
+const RESERVED_KEYS = ['/', 'n', 'N', '1', '2', '3', '4', '5', '6', '7', '8', '9'];
+
+// A key can only do one thing; otherwise whichever action is checked first wins
+function validateKeyBinding(action, value, keyBindings) {
+  if (typeof value !== 'string' || [...value].length !== 1) {
+    return 'Key bindings must be a single character';
+  }
+  if (RESERVED_KEYS.includes(value)) {
+    return `"${value}" is taken by the dashboard (/ searches, n/N jump between matches, 1-9 open items)`;
+  }
+  const other = Object.keys(keyBindings).find((name) => name !== action && keyBindings[name] === value);
+  return !other || `"${value}" is already the key for ${other}`;
+}
+
+// Returns true or an error message, in the shape inquirer's validate expects.
+// Key bindings are checked against the other bindings of `config`.
+export function validateConfigValue(key, value, config = DEFAULT_CONFIG) {
+  if (key.startsWith('keyBindings.')) {
+    return validateKeyBinding(key.slice('keyBindings.'.length), value, config.keyBindings);
+  }
+  return VALIDATORS[key] ? VALIDATORS[key](value) : true;
+}
+
+// Set a dotted key from a command line string, returning the updated config
+export function setConfigValue(config, key, rawValue) {
+  const defaultValue = lookup(DEFAULT_CONFIG, key);
+  if (defaultValue === undefined || isPlainObject(defaultValue)) {
+    throw new Error(`Unknown setting "${key}"`);
+  }
+
+  const value = coerceValue(key, defaultValue, rawValue);
+  const valid = validateConfigValue(key, value, config);
+  if (valid !== true) {
+    throw new Error(valid);
+  }
+
+  const updated = structuredClone(config);
+  const parts = key.split('.');
+  const parent = parts.slice(0, -1).reduce((object, part) => object[part], updated);
+  parent[parts[parts.length - 1]] = value;
+  return updated;
+}
+
+// Command line flags win over the config file
+export function resolveSettings(config, cliOptions = {}) {
+  const settings = structuredClone(config);
+  if (cliOptions.limit !== undefined) settings.limit = Number(cliOptions.limit);
+  if (cliOptions.sources) settings.sources = cliOptions.sources;
+  if (cliOptions.exclude) settings.exclude = cliOptions.exclude;
+  if (cliOptions.filter !== undefined) settings.filter = cliOptions.filter;
+  if (cliOptions.offline) settings.offline = true;
+  if (cliOptions.format) settings.format = cliOptions.format;
+  if (cliOptions.autoRefresh) settings.autoRefresh = cliOptions.autoRefresh;
+  if (cliOptions.sort) settings.sort = cliOptions.sort;
+  if (cliOptions.hnFeed) settings.hnFeed = cliOptions.hnFeed;
+  if (cliOptions.minScore !== undefined) settings.minScore = Number(cliOptions.minScore);
+  if (cliOptions.tag) settings.dailyDevTags = cliOptions.tag;
+  if (cliOptions.language) settings.githubLanguages = cliOptions.language;
+  if (cliOptions.topic) settings.githubTopics = cliOptions.topic;
+  if (cliOptions.subreddit) settings.subreddits = cliOptions.subreddit;
+
+  // Flags do not go through `config set`, so check the ones that are easy to mistype
+  const checked = {
+    limit: 'limit',
+    sort: 'sort',
+    hnFeed: 'hnFeed',
+    minScore: 'minScore',
+    tag: 'dailyDevTags',
+    language: 'githubLanguages',
+    topic: 'githubTopics',
+    subreddit: 'subreddits'
+  };
+  for (const [flag, key] of Object.entries(checked)) {
+    const valid = cliOptions[flag] === undefined || validateConfigValue(key, settings[key]);
+    if (valid !== true) {
+      throw new Error(valid);
+    }
+  }
+  return settings;
+}
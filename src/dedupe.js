@@ -0,0 +1,156 @@
+// Cross-source duplicate detection. The same story posted to several sources
+// becomes one item that keeps the first copy's fields and lists every copy in
+// `sources`, so the dashboard can show where it was discussed.
+//
+// Two items are the same story when their canonical URLs match, or when
+// items from different sources have nearly the same title.
+
+import { finalUrl } from './http.js';
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = [
+  /^utm_/, /^ref$/, /^ref_src$/, /^ref_url$/, /^source$/, /^fbclid$/, /^gclid$/,
+  /^mc_cid$/, /^mc_eid$/, /^igshid$/, /^si$/, /^share$/, /^__s$/
+];
+
+// Shorteners whose target can be read from the URL itself
+const EXPANDERS = {
+  'youtu.be': (url) => `https://youtube.com/watch?v=${url.pathname.slice(1)}`,
+  'redd.it': (url) => `https://reddit.com/comments${url.pathname}`
+};
+
+// Shorteners that have to be asked where they lead
+const REDIRECTING_SHORTENERS = new Set([
+  'bit.ly', 't.co', 'tinyurl.com', 'buff.ly', 'ow.ly', 'lnkd.in', 'goo.gl', 'git.io', 'trib.al', 'dlvr.it'
+]);
+
+// Same story titles share this much of their words (Jaccard similarity)
+const TITLE_SIMILARITY = 0.8;
+// Shorter titles are too generic to merge on wording alone
+const MIN_TITLE_WORDS = 4;
+
+function hostOf(url) {
+  return url.hostname.toLowerCase().replace(/^(www|m|mobile)\./, '');
+}
+
+// A comparable form of a URL: no scheme, www, tracking parameters, fragment,
+// default index page or trailing slash; remaining parameters sorted.
+// Returns null for anything that is not an http(s) URL.
+export function canonicalUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return null;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return null;
+  }
+
+  const expand = EXPANDERS[hostOf(url)];
+  if (expand) {
+    url = new URL(expand(url));
+  }
+
+  const params = [...url.searchParams]
+    .filter(([name]) => !TRACKING_PARAMS.some((pattern) => pattern.test(name.toLowerCase())))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = new URLSearchParams(params).toString();
+  const pathname = url.pathname
+    .replace(/\/index\.(html?|php)$/i, '/')
+    .replace(/\/+$/, '');
+
+  return `${hostOf(url)}${url.port ? `:${url.port}` : ''}${pathname}${query ? `?${query}` : ''}`;
+}
+
+// Replace links through known shorteners with where they lead. Lookups that
+// fail leave the link as it was; results are remembered for the session.
+const resolved = new Map();
+export async function expandShortLinks(items) {
+  await Promise.all(items.map(async (item) => {
+    let url;
+    try {
+      url = new URL(item.url);
+    } catch (error) {
+      return;
+    }
+    if (!REDIRECTING_SHORTENERS.has(hostOf(url))) return;
+
+    if (!resolved.has(item.url)) {
+      resolved.set(item.url, finalUrl(item.url, { timeout: 5000, retries: 0 }).catch(() => item.url));
+    }
+    item.url = await resolved.get(item.url);
+  }));
+  return items;
+}
+
+function titleWords(title) {
+  const words = title
+    .toLowerCase()
+    .replace(/^(show|ask|tell|launch) hn:\s*/, '')
+    .match(/[a-z0-9][a-z0-9+#.]*[a-z0-9+#]|[a-z0-9]/g) || [];
+  return new Set(words.filter((word) => !['a', 'an', 'the'].includes(word)));
+}
+
+function similarTitles(a, b) {
+  if (a.size < MIN_TITLE_WORDS || b.size < MIN_TITLE_WORDS) return false;
+  const shared = [...a].filter((word) => b.has(word)).length;
+  return shared / (a.size + b.size - shared) >= TITLE_SIMILARITY;
+}
+
+function sourceEntry(item) {
+  return {
+    provider: item.provider,
+    name: item.source ? item.source.name : item.provider,
+    url: item.url,
+    score: item.score,
+    comments: item.comments,
+    discussionUrl: item.discussionUrl,
+    item
+  };
+}
+
+// Expand short links (unless offline, as that needs the network) and merge
+// duplicates
+export async function dedupeItems(items, { offline = false } = {}) {
+  return mergeDuplicates(offline ? items : await expandShortLinks(items));
+}
+
+// Merge duplicates, keeping the order of first appearance. A merged item is
+// the first copy with the tags of all copies and `sources`, one entry per copy.
+export function mergeDuplicates(items) {
+  const groups = [];
+  const byUrl = new Map();
+
+  for (const item of items) {
+    const url = canonicalUrl(item.url);
+    const words = titleWords(item.title || '');
+    let group = url ? byUrl.get(url) : null;
+    if (!group) {
+      group = groups.find((candidate) => candidate.items.every((other) => other.provider !== item.provider)
+        && similarTitles(candidate.words, words));
+    }
+
+    if (group) {
+      group.items.push(item);
+    } else {
+      group = { items: [item], words };
+      groups.push(group);
+    }
+    if (url && !byUrl.has(url)) {
+      byUrl.set(url, group);
+    }
+  }
+
+  return groups.map(({ items: copies }) => {
+    if (copies.length === 1) {
+      return copies[0];
+    }
+    const [first] = copies;
+    return {
+      ...first,
+      tags: [...new Set(copies.flatMap((copy) => copy.tags || []))],
+      sources: copies.map(sourceEntry)
+    };
+  });
+}
@@ -0,0 +1,202 @@
+import path from 'path';
+import { getDataDir, readJSON, writeJSON } from './storage.js';
+import { fetchFromProviders, providerOptionsFor } from './providers/index.js';
+import { compileFilter } from './filter.js';
+import { clusterItems } from './clustering.js';
+import { escapeHtml } from './html-utils.js';
+import { canonicalUrl, dedupeItems } from './dedupe.js';
+
+export const DIGEST_FORMATS = ['html', 'markdown'];
+
+// URLs stay in the dedupe list for 30 days after they were first sent
+const SENT_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+export function getDigestStatePath() {
+  return path.join(getDataDir(), 'digests.json');
+}
+
+// Canonical URLs of every copy of a story, so it is recognised however it is
+// merged or linked next time
+function sentUrls(item) {
+  const urls = item.sources ? item.sources.map((source) => source.url) : [item.url];
+  return urls.map((url) => canonicalUrl(url) || url);
+}
+
+function wasSent(item, sent) {
+  return sentUrls(item).some((url) => sent[url]);
+}
+
+// { sent: { [canonical url]: sentAt } } for every item put in an earlier
+// digest. Older files kept raw URLs; those are read as canonical ones.
+function loadSent(now = Date.now()) {
+  const state = readJSON(getDigestStatePath(), {});
+  const sent = {};
+  for (const [url, sentAt] of Object.entries((state && state.sent) || {})) {
+    if (now - new Date(sentAt).getTime() < SENT_MAX_AGE) {
+      sent[canonicalUrl(url) || url] = sentAt;
+    }
+  }
+  return sent;
+}
+
+// Remember the items of a digest so the next one leaves them out
+export function recordDigestItems(items, now = Date.now()) {
+  const sent = loadSent(now);
+  items.flatMap(sentUrls).forEach((url) => {
+    sent[url] = sent[url] || new Date(now).toISOString();
+  });
+  writeJSON(getDigestStatePath(), { sent });
+}
+
+// Points and comments on a log scale, so one viral story does not bury everything
+function popularity(item) {
+  return Math.log1p((item.score || 0) + (item.comments || 0));
+}
+
+// Bigger and more discussed topics first; items by popularity, then newest
+export function rankClusters(clusters) {
+  const rank = (cluster) => cluster.items.length
+    + cluster.items.reduce((sum, item) => sum + popularity(item), 0) / 2;
+
+  return clusters
+    .map((cluster) => ({
+      ...cluster,
+      rank: rank(cluster),
+      items: [...cluster.items].sort((a, b) => popularity(b) - popularity(a)
+        || new Date(b.createdAt) - new Date(a.createdAt))
+    }))
+    .sort((a, b) => b.rank - a.rank);
+}
+
+// Fetch, filter and cluster for a digest. options: { since (ms), dedupe, topics }
+// on top of the usual settings. Returns { generatedAt, clusters, items, errors,
+// skipped } where skipped counts items left out as already sent.
+export async function buildDigest(settings, options = {}, now = Date.now()) {
+  const matchesFilter = compileFilter(settings.filter);
+  const fetched = await fetchFromProviders(settings.limit, {
+    sources: settings.sources,
+    exclude: settings.exclude,
+    offline: settings.offline,
+    providerOptions: providerOptionsFor(settings),
+    maxAge: (settings.cacheTtl || 0) * 60 * 1000
+  });
+  const { errors } = fetched;
+  const items = settings.mergeDuplicates === false
+    ? fetched.items
+    : await dedupeItems(fetched.items, { offline: settings.offline });
+
+  const sent = options.dedupe ? loadSent(now) : {};
+  const selected = items.filter((item) => {
+    if (!matchesFilter(item) || wasSent(item, sent)) return false;
+    // Items without a usable date are kept rather than guessed to be old
+    const age = now - new Date(item.createdAt).getTime();
+    return !options.since || isNaN(age) || age <= options.since;
+  });
+
+  const clusters = rankClusters(clusterItems(selected, settings.similarityThreshold))
+    .slice(0, options.topics || undefined);
+  return {
+    generatedAt: new Date(now).toISOString(),
+    clusters,
+    items: clusters.flatMap((cluster) => cluster.items),
+    errors,
+    skipped: items.filter((item) => wasSent(item, sent)).length
+  };
+}
+
+// "2025-01-31 08:05 UTC"
+function formatTimestamp(date) {
+  const parsed = new Date(date);
+  return isNaN(parsed.getTime()) ? '' : `${parsed.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+function itemDetails(item) {
+  return [
+    item.source ? item.source.name : null,
+    formatTimestamp(item.createdAt),
+    item.score ? `${item.score} points` : null,
+    item.comments ? `${item.comments} comments` : null
+  ].filter(Boolean);
+}
+
+function toMarkdown(digest, title) {
+  const lines = [`# ${title}`, '', `Generated ${formatTimestamp(digest.generatedAt)}`, ''];
+  digest.clusters.forEach((cluster) => {
+    lines.push(`## ${cluster.headline}`, '');
+    cluster.items.forEach((item) => {
+      const discussion = item.discussionUrl && item.discussionUrl !== item.url
+        ? ` ([discussion](${item.discussionUrl}))`
+        : '';
+      const text = item.title.replace(/([[\]\\])/g, '\\$1');
+      lines.push(`- [${text}](${item.url})${discussion} - ${itemDetails(item).join(' · ')}`);
+    });
+    lines.push('');
+  });
+  return lines.join('\n');
+}
+
+const HTML_STYLE = `
+  body { font: 16px/1.5 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; max-width: 760px; margin: 2rem auto; padding: 0 1rem; color: #1f2328; background: #fff; }
+  h1 { margin-bottom: 0; }
+  .generated { color: #656d76; margin-top: 0.25rem; }
+  h2 { border-bottom: 1px solid #d0d7de; padding-bottom: 0.25rem; margin-top: 2rem; }
+  ul { padding-left: 1.2rem; }
+  li { margin: 0.5rem 0; }
+  a { color: #0969da; text-decoration: none; }
+  a:hover { text-decoration: underline; }
+  .meta { color: #656d76; font-size: 0.875rem; }
+  @media (prefers-color-scheme: dark) {
+    body { color: #e6edf3; background: #0d1117; }
+    h2 { border-color: #30363d; }
+    a { color: #4493f8; }
+    .generated, .meta { color: #8d96a0; }
+  }`;
+
+// A single file with inline styles and no scripts, fit for mail or a wiki
+function toHtml(digest, title) {
+  const sections = digest.clusters.map((cluster) => {
+    const items = cluster.items.map((item) => {
+      const discussion = item.discussionUrl && item.discussionUrl !== item.url
+        ? ` · <a href="${escapeHtml(item.discussionUrl)}">discussion</a>`
+        : '';
+      return `      <li><a href="${escapeHtml(item.url)}">${escapeHtml(item.title)}</a><br>`
+        + `<span class="meta">${escapeHtml(itemDetails(item).join(' · '))}${discussion}</span></li>`;
+    });
+    return [
+      `    <h2>${escapeHtml(cluster.headline)}</h2>`,
+      '    <ul>',
+      ...items,
+      '    </ul>'
+    ].join('\n');
+  });
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '  <meta charset="utf-8">',
+    '  <meta name="viewport" content="width=device-width, initial-scale=1">',
+    `  <title>${escapeHtml(title)}</title>`,
+    `  <style>${HTML_STYLE}\n  </style>`,
+    '</head>',
+    '<body>',
+    `  <h1>${escapeHtml(title)}</h1>`,
+    `  <p class="generated">Generated ${escapeHtml(formatTimestamp(digest.generatedAt))}</p>`,
+    ...sections,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+export function renderDigest(digest, format) {
+  const title = `TechScope digest for ${new Date(digest.generatedAt).toISOString().slice(0, 10)}`;
+  switch (format) {
+    case 'html':
+      return toHtml(digest, title);
+    case 'markdown':
+      return toMarkdown(digest, title);
+    default:
+      throw new Error(`Unknown digest format "${format}". Use one of: ${DIGEST_FORMATS.join(', ')}`);
+  }
+}
@@ -0,0 +1,53 @@
+import path from 'path';
+import { getConfigDir, readJSON, writeJSON } from './storage.js';
+
+export function getFeedsPath() {
+  return path.join(getConfigDir(), 'feeds.json');
+}
+
+// Feeds are stored as [{ url, name? }]
+export function loadFeeds() {
+  const feeds = readJSON(getFeedsPath(), []);
+  return Array.isArray(feeds) ? feeds : [];
+}
+
+function saveFeeds(feeds) {
+  writeJSON(getFeedsPath(), feeds);
+}
+
+export function addFeed(url, name) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error(`"${url}" is not a valid URL`);
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new Error(`Feed URLs must use http or https, got "${parsed.protocol}"`);
+  }
+
+  const feeds = loadFeeds();
+  if (feeds.some((feed) => feed.url === parsed.href)) {
+    throw new Error(`Already following ${parsed.href}`);
+  }
+
+  const feed = name ? { url: parsed.href, name } : { url: parsed.href };
+  saveFeeds([...feeds, feed]);
+  return feed;
+}
+
+// Remove by URL or by the 1-based position shown in `feeds list`
+export function removeFeed(urlOrIndex) {
+  const feeds = loadFeeds();
+  const index = /^\d+$/.test(urlOrIndex)
+    ? parseInt(urlOrIndex) - 1
+    : feeds.findIndex((feed) => feed.url === urlOrIndex || feed.url === `${urlOrIndex}/`);
+
+  if (index < 0 || index >= feeds.length) {
+    throw new Error(`No feed matches "${urlOrIndex}"`);
+  }
+
+  const [removed] = feeds.splice(index, 1);
+  saveFeeds(feeds);
+  return removed;
+}
@@ -0,0 +1,211 @@
+// Keyword filter for dashboard items.
+//
+// Query syntax:
+//   react rust            both terms (adjacent terms are ANDed)
+//   react OR vue          either term
+//   NOT java / -java      exclude a term
+//   (react OR vue) AND typescript
+//   "server components"   exact phrase
+//   /rust(lang)?/i        regular expression
+//   title:, tag:, source:, domain:   restrict a term to one field
+//
+// Terms are case-insensitive and match title, tags, source name and domain
+// unless a field prefix is given.
+
+const FIELDS = ['title', 'tag', 'source', 'domain'];
+
+function tokenize(query) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < query.length) {
+    const char = query[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char });
+      i++;
+      continue;
+    }
+
+    let negate = false;
+    if (char === '-' && i + 1 < query.length && !/\s/.test(query[i + 1])) {
+      negate = true;
+      i++;
+    }
+
+    // Optional field prefix such as tag: or domain:
+    let field = null;
+    const fieldMatch = /^([a-z]+):/i.exec(query.slice(i));
+    if (fieldMatch && FIELDS.includes(fieldMatch[1].toLowerCase())) {
+      field = fieldMatch[1].toLowerCase();
+      i += fieldMatch[0].length;
+    }
+
+    let term;
+    if (query[i] === '"') {
+      const end = query.indexOf('"', i + 1);
+      if (end === -1) {
+        throw new Error('Unterminated quote in filter');
+      }
+      term = { type: 'term', field, text: query.slice(i + 1, end).toLowerCase() };
+      i = end + 1;
+    } else if (query[i] === '/') {
+      const match = /^\/((?:\\.|[^\\/])+)\/([a-z]*)/.exec(query.slice(i));
+      if (!match) {
+        throw new Error('Unterminated regular expression in filter');
+      }
+      let regex;
+      try {
+        // Always case-insensitive; stateful flags would break repeated tests
+        const flags = new Set([...match[2].replace(/[gy]/g, ''), 'i']);
+        regex = new RegExp(match[1], [...flags].join(''));
+      } catch (error) {
+        throw new Error(`Invalid regular expression in filter: ${error.message}`);
+      }
+      term = { type: 'term', field, regex };
+      i += match[0].length;
+    } else {
+      const match = /^[^\s()]+/.exec(query.slice(i));
+      const word = match ? match[0] : '';
+      i += word.length;
+
+      if (!negate && !field && ['AND', 'OR', 'NOT'].includes(word)) {
+        tokens.push({ type: word });
+        continue;
+      }
+      if (!word) {
+        throw new Error(`Expected a term after "${query.slice(0, i)}"`);
+      }
+      term = { type: 'term', field, text: word.toLowerCase() };
+    }
+
+    if (negate) {
+      tokens.push({ type: 'NOT' });
+    }
+    tokens.push(term);
+  }
+
+  return tokens;
+}
+
+// Recursive descent parser: or := and (OR and)*, and := not (AND? not)*,
+// not := NOT not | primary, primary := term | ( or )
+function parse(tokens) {
+  let position = 0;
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+
+  function parseOr() {
+    const nodes = [parseAnd()];
+    while (peek() && peek().type === 'OR') {
+      next();
+      nodes.push(parseAnd());
+    }
+    return nodes.length === 1 ? nodes[0] : { type: 'or', nodes };
+  }
+
+  function parseAnd() {
+    const nodes = [parseNot()];
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') next();
+      nodes.push(parseNot());
+    }
+    return nodes.length === 1 ? nodes[0] : { type: 'and', nodes };
+  }
+
+  function parseNot() {
+    if (peek() && peek().type === 'NOT') {
+      next();
+      return { type: 'not', node: parseNot() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = next();
+    if (!token) {
+      throw new Error('Filter ends unexpectedly');
+    }
+    if (token.type === '(') {
+      const node = parseOr();
+      if (!peek() || peek().type !== ')') {
+        throw new Error('Missing closing parenthesis in filter');
+      }
+      next();
+      return node;
+    }
+    if (token.type === 'term') {
+      return token;
+    }
+    throw new Error(`Unexpected "${token.type}" in filter`);
+  }
+
+  const tree = parseOr();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[position].type}" in filter`);
+  }
+  return tree;
+}
+
+function itemDomain(item) {
+  try {
+    return new URL(item.url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return '';
+  }
+}
+
+// The searchable text of an item, per field
+function itemFields(item) {
+  return {
+    title: [item.title || ''],
+    tag: item.tags || [],
+    source: [(item.source && item.source.name) || ''],
+    domain: [itemDomain(item)]
+  };
+}
+
+function matchTerm(term, fields) {
+  const values = term.field ? fields[term.field] : Object.values(fields).flat();
+  return values.some((value) => (term.regex
+    ? term.regex.test(value)
+    : value.toLowerCase().includes(term.text)));
+}
+
+function evaluate(node, fields) {
+  switch (node.type) {
+    case 'and':
+      return node.nodes.every((child) => evaluate(child, fields));
+    case 'or':
+      return node.nodes.some((child) => evaluate(child, fields));
+    case 'not':
+      return !evaluate(node.node, fields);
+    default:
+      return matchTerm(node, fields);
+  }
+}
+
+// Compile a query into an item predicate. An empty query matches everything.
+// Several queries (e.g. repeated --filter flags) are ANDed together.
+export function compileFilter(query) {
+  const queries = (Array.isArray(query) ? query : [query])
+    .filter((part) => part && part.trim());
+  if (queries.length === 0) {
+    return () => true;
+  }
+
+  const trees = queries.map((part) => parse(tokenize(part)));
+  return (item) => {
+    const fields = itemFields(item);
+    return trees.every((tree) => evaluate(tree, fields));
+  };
+}
+
+export function filterItems(items, query) {
+  return items.filter(compileFilter(query));
+}
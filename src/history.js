@@ -0,0 +1,74 @@
+import path from 'path';
+import { getDataDir, readJSON, writeJSON } from './storage.js';
+
+// Seen items are forgotten after 30 days, opened items after the last 500
+const SEEN_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+const MAX_OPENED = 500;
+
+export function getHistoryPath() {
+  return path.join(getDataDir(), 'history.json');
+}
+
+// Items are identified across runs by provider and id
+export function itemKey(item) {
+  return `${item.provider}:${item.id}`;
+}
+
+// Keys of every copy of a story posted to several sources. Which copy comes
+// first depends on the fetch, so a story is known by any of them.
+export function itemKeys(item) {
+  return item.sources ? item.sources.map((source) => itemKey(source.item)) : [itemKey(item)];
+}
+
+// History is { seen: { [key]: firstSeenAt }, opened: [{ key, title, url, source, openedAt }] }
+// with opened entries newest first
+export function loadHistory() {
+  const history = readJSON(getHistoryPath(), {});
+  return {
+    seen: history && typeof history.seen === 'object' && history.seen !== null ? history.seen : {},
+    opened: history && Array.isArray(history.opened) ? history.opened : []
+  };
+}
+
+function saveHistory(history) {
+  writeJSON(getHistoryPath(), history);
+}
+
+// Remember that items were shown, keeping the time they were first seen
+export function markSeen(items, now = Date.now()) {
+  const history = loadHistory();
+  const seen = {};
+  for (const [key, seenAt] of Object.entries(history.seen)) {
+    if (now - new Date(seenAt).getTime() < SEEN_MAX_AGE) {
+      seen[key] = seenAt;
+    }
+  }
+  items.flatMap(itemKeys).forEach((key) => {
+    if (!seen[key]) {
+      seen[key] = new Date(now).toISOString();
+    }
+  });
+  saveHistory({ ...history, seen });
+}
+
+export function recordOpened(item, now = Date.now()) {
+  const history = loadHistory();
+  const key = itemKey(item);
+  const keys = itemKeys(item);
+  const entry = {
+    key,
+    title: item.title,
+    url: item.url,
+    source: item.source ? item.source.name : item.provider,
+    openedAt: new Date(now).toISOString()
+  };
+  history.opened = [entry, ...history.opened.filter((opened) => !keys.includes(opened.key))].slice(0, MAX_OPENED);
+  keys.forEach((copyKey) => {
+    history.seen[copyKey] = history.seen[copyKey] || entry.openedAt;
+  });
+  saveHistory(history);
+}
+
+export function clearHistory() {
+  saveHistory({ seen: {}, opened: [] });
+}
@@ -0,0 +1,69 @@
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  hellip: '…',
+  mdash: '—',
+  ndash: '–',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  copy: '©'
+};
+
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    const decoded = NAMED_ENTITIES[entity.toLowerCase()];
+    return decoded === undefined ? match : decoded;
+  });
+}
+
+// Escape text for use in HTML content and attribute values
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Convert a fragment of HTML (such as an HN comment) to plain text with
+// paragraphs separated by blank lines. Links keep their target when it
+// differs from the link text; <pre> blocks keep their line breaks.
+export function htmlToText(html = '') {
+  const blocks = [];
+
+  const withoutCode = html.replace(/<pre[^>]*>([\s\S]*?)<\/pre>/gi, (match, code) => {
+    blocks.push(decodeEntities(code.replace(/<[^>]+>/g, '')).replace(/\n+$/, ''));
+    return `\n\n\u0000${blocks.length - 1}\u0000\n\n`;
+  });
+
+  const text = withoutCode
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+      const target = decodeEntities(href);
+      const linkText = decodeEntities(label.replace(/<[^>]+>/g, ''));
+      return linkText === target || target.startsWith(linkText.replace(/\.\.\.$/, ''))
+        ? target
+        : `${linkText} (${target})`;
+    })
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/?(p|div|li|blockquote|h[1-6])[^>]*>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(text)
+    .split(/\n{2,}/)
+    .map((paragraph) => paragraph.replace(/[ \t]+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n\n')
+    .replace(/\u0000(\d+)\u0000/g, (match, index) => blocks[index]);
+}
@@ -0,0 +1,129 @@
+import fs from 'fs';
+import fetch from 'node-fetch';
+
+// Shared HTTP layer for every source: at most MAX_CONCURRENT requests in
+// flight across all of them, a timeout per attempt, and retries with
+// exponential backoff for network errors, timeouts, 429 and 5xx answers.
+
+const MAX_CONCURRENT = 8;
+const DEFAULT_TIMEOUT = 10 * 1000;
+const DEFAULT_RETRIES = 2;
+const BACKOFF_BASE = 500;
+
+const { version } = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+export const USER_AGENT = `techscope-cli/${version} (+https://www.npmjs.com/package/techscope-cli)`;
+
+let active = 0;
+const waiting = [];
+
+// Resolves once a slot is free; call the returned function to give it back
+function acquire() {
+  return new Promise((resolve) => {
+    const take = () => {
+      active++;
+      let released = false;
+      resolve(() => {
+        if (released) return;
+        released = true;
+        active--;
+        if (waiting.length > 0) waiting.shift()();
+      });
+    };
+    if (active < MAX_CONCURRENT) {
+      take();
+    } else {
+      waiting.push(take);
+    }
+  });
+}
+
+function isRetryable(status) {
+  return status === 429 || status >= 500;
+}
+
+// 500ms, 1s, 2s... with some jitter so parallel retries do not line up
+function backoff(attempt) {
+  const delay = BACKOFF_BASE * 2 ** attempt;
+  return new Promise((resolve) => setTimeout(resolve, delay / 2 + Math.random() * delay / 2));
+}
+
+// One attempt: fetch and read the body within a single timeout and pool slot
+async function attempt(url, options, read) {
+  const release = await acquire();
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), options.timeout);
+  try {
+    const response = await fetch(url, {
+      method: options.method || 'GET',
+      headers: { 'User-Agent': USER_AGENT, ...options.headers },
+      body: options.body,
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      const error = new Error(`${new URL(url).host} answered ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return await read(response);
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`${new URL(url).host} did not answer within ${options.timeout / 1000}s`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    release();
+  }
+}
+
+// options: { method, headers, body, timeout (ms), retries }
+async function request(url, options, read) {
+  const settings = { timeout: DEFAULT_TIMEOUT, retries: DEFAULT_RETRIES, ...options };
+  for (let tries = 0; ; tries++) {
+    try {
+      return await attempt(url, settings, read);
+    } catch (error) {
+      // Answers like 404 or a malformed body will not get better by asking again
+      const retryable = error.status ? isRetryable(error.status) : !(error instanceof SyntaxError);
+      if (!retryable || tries >= settings.retries) {
+        throw error;
+      }
+      await backoff(tries);
+    }
+  }
+}
+
+export function fetchJSON(url, options = {}) {
+  return request(url, options, (response) => response.json());
+}
+
+export function fetchText(url, options = {}) {
+  return request(url, options, (response) => response.text());
+}
+
+// For requests where only the status matters, e.g. webhooks
+export function send(url, options = {}) {
+  return request(url, options, (response) => response.text().then(() => undefined));
+}
+
+// Where a link ends up after following its redirects, e.g. for URL shorteners
+export function finalUrl(url, options = {}) {
+  return request(url, { method: 'HEAD', ...options }, (response) => response.url || url);
+}
+
+// A web page to read in the terminal, with where it ended up. Anything that is
+// not HTML (PDFs, images...) comes back with text null instead of downloaded.
+export function fetchPage(url, options = {}) {
+  return request(url, options, async (response) => {
+    const contentType = response.headers.get('content-type') || '';
+    const isHtml = !contentType || /html|xml/i.test(contentType);
+    if (!isHtml && response.body && response.body.destroy) {
+      response.body.destroy();
+    }
+    return {
+      url: response.url || url,
+      contentType,
+      text: isHtml ? await response.text() : null
+    };
+  });
+}
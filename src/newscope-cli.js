@@ -1,7 +1,6 @@
 #!/usr/bin/env node
 
 import { Command } from "commander";
-import fetch from "node-fetch";
 import open from "open";
 import { 
   showBanner, 
@@ -14,106 +13,35 @@ import {
   showInfo,
   showFound,
   createSpinner,
+  isInteractive,
+  setColorEnabled,
   showGoodbye
 } from './ui-utils.js';
+import { fetchFromProviders } from "./providers/index.js";
+import { HN_FEED_NAMES } from "./providers/hackernews.js";
+import { filterItems } from "./filter.js";
+import { clusterItems } from "./clustering.js";
+import { recordOpened } from "./history.js";
+import { formatClusters } from "./output.js";
+import { runPreview } from "./preview.js";
+
+// Newest stories first unless another --hn-feed is asked for
+async function fetchDailyTechFeed(limit = 20, options = {}) {
+  const { items, errors } = await fetchFromProviders(limit, {
+    sources: ["hackernews"],
+    providerOptions: {
+      hackernews: { feed: options.hnFeed || "new", minScore: parseInt(options.minScore || 0) },
+    },
+  });
 
-// Simple article clustering based on title similarity
-function clusterArticles(articles) {
-  const clusters = [];
-  const processed = new Set();
-
-  for (const article of articles) {
-    if (processed.has(article.id)) continue;
-
-    const similar = articles.filter((other) => {
-      if (other.id === article.id || processed.has(other.id)) return false;
-      return titleSimilarity(article.title, other.title) > 0.3;
-    });
-
-    const cluster = {
-      id: clusters.length,
-      headline: extractMainTopic(article.title),
-      articles: [article, ...similar],
-    };
-
-    clusters.push(cluster);
-    [article, ...similar].forEach((a) => processed.add(a.id));
-  }
-
-  return clusters.sort((a, b) => b.articles.length - a.articles.length);
-}
-
-function titleSimilarity(title1, title2) {
-  const words1 = new Set(title1.toLowerCase().split(/\W+/));
-  const words2 = new Set(title2.toLowerCase().split(/\W+/));
-  const intersection = new Set([...words1].filter((x) => words2.has(x)));
-  const union = new Set([...words1, ...words2]);
-  return intersection.size / union.size;
-}
-
-function extractMainTopic(title) {
-  const words = title.split(/\W+/).filter((w) => w.length > 3);
-  return words.slice(0, 3).join(" ");
-}
-
-async function fetchDailyTechFeed(limit = 20) {
-  // Using multiple reliable sources for fresh content
-  const sources = [
-    "https://hacker-news.firebaseio.com/v0/newstories.json", // Fresh stories, not just top
-    "https://hacker-news.firebaseio.com/v0/topstories.json",
-  ];
-
-  try {
-    // Get fresh stories first, fall back to top stories
-    let storyIds = [];
-    for (const source of sources) {
-      try {
-        const response = await fetch(source);
-        storyIds = await response.json();
-        break; // Use first successful source
-      } catch (err) {
-        continue; // Try next source
-      }
-    }
-
-    if (storyIds.length === 0) {
-      throw new Error("No stories available");
-    }
-
-    // Randomize and get a mix of stories for variety
-    const shuffled = storyIds.sort(() => 0.5 - Math.random());
-    const selectedIds = shuffled.slice(0, limit);
-
-    const stories = await Promise.all(
-      selectedIds.map(async (id) => {
-        try {
-          const storyResponse = await fetch(
-            `https://hacker-news.firebaseio.com/v0/item/${id}.json`
-          );
-          return await storyResponse.json();
-        } catch (err) {
-          return null;
-        }
-      })
-    );
-
-    return stories
-      .filter((story) => story && story.title && story.url)
-      .map((story) => ({
-        id: story.id.toString(),
-        title: story.title,
-        url: story.url || `https://news.ycombinator.com/item?id=${story.id}`,
-        createdAt: new Date(story.time * 1000).toISOString(),
-        source: { name: "Tech News" },
-        tags: [],
-      }));
-  } catch (error) {
-    console.error("Error fetching articles:", error.message);
-    return [];
+  // Cached items stand in when the network is down
+  if (items.length === 0 && errors.length > 0) {
+    throw new Error(errors[0].message);
   }
+  return items;
 }
 
-function displayDashboard(clusters, selectedCluster = 0, showHelpPanel = false) {
+function displayDashboard(clusters, selectedCluster = 0, showHelpPanel = false, selectedItem = -1) {
   console.clear();
   showBanner();
 
@@ -128,23 +56,24 @@ function displayDashboard(clusters, selectedCluster = 0, showHelpPanel = false)
   // Display selected cluster details
   if (clusters[selectedCluster]) {
     const cluster = clusters[selectedCluster];
-    displayArticles(cluster.articles, cluster.headline);
+    displayArticles(cluster.items, cluster.headline, selectedItem);
   }
 
   // Display controls
   displayControls();
 }
 
-async function runInteractiveDashboard(clusters) {
+async function runInteractiveDashboard(clusters, options = {}) {
   let selectedCluster = 0;
   let showHelpPanel = false;
+  let selectedItem = -1; // -1 while the cursor is on the topics
 
   const stdin = process.stdin;
   stdin.setRawMode(true);
   stdin.resume();
   stdin.setEncoding("utf8");
 
-  displayDashboard(clusters, selectedCluster, showHelpPanel);
+  displayDashboard(clusters, selectedCluster, showHelpPanel, selectedItem);
 
   return new Promise((resolve) => {
     const handleKeyPress = async (key) => {
@@ -166,30 +95,63 @@ async function runInteractiveDashboard(clusters) {
 
         if (key === "?") {
           showHelpPanel = !showHelpPanel;
-          displayDashboard(clusters, selectedCluster, showHelpPanel);
-        } else if (key === "\u001B[A" && selectedCluster > 0) {
+          displayDashboard(clusters, selectedCluster, showHelpPanel, selectedItem);
+        } else if ((key === "\r" || key === "\u001B[C") && selectedItem === -1 && clusters[selectedCluster]) {
+          selectedItem = 0;
+          displayDashboard(clusters, selectedCluster, showHelpPanel, selectedItem);
+        } else if (key === "\u001B[D" && selectedItem !== -1) {
+          selectedItem = -1;
+          displayDashboard(clusters, selectedCluster, showHelpPanel, selectedItem);
+        } else if (key === "\u001B[A" && selectedItem > 0) {
+          selectedItem--;
+          displayDashboard(clusters, selectedCluster, showHelpPanel, selectedItem);
+        } else if (key === "\u001B[B" && selectedItem !== -1 && selectedItem < clusters[selectedCluster].items.length - 1) {
+          selectedItem++;
+          displayDashboard(clusters, selectedCluster, showHelpPanel, selectedItem);
+        } else if (key === "\u001B[A" && selectedItem === -1 && selectedCluster > 0) {
           selectedCluster--;
-          displayDashboard(clusters, selectedCluster, showHelpPanel);
-        } else if (key === "\u001B[B" && selectedCluster < clusters.length - 1) {
+          displayDashboard(clusters, selectedCluster, showHelpPanel, selectedItem);
+        } else if (key === "\u001B[B" && selectedItem === -1 && selectedCluster < clusters.length - 1) {
           selectedCluster++;
-          displayDashboard(clusters, selectedCluster, showHelpPanel);
-        } else if (key === "o" && clusters[selectedCluster]) {
-          const article = clusters[selectedCluster].articles[0];
+          displayDashboard(clusters, selectedCluster, showHelpPanel, selectedItem);
+        } else if ((key === "p" || key === "\r") && clusters[selectedCluster]) {
+          // Read the item under the cursor here; the pager takes the keyboard until it closes
+          const article = clusters[selectedCluster].items[Math.max(selectedItem, 0)];
+          stdin.removeListener('data', handleKeyPress);
+          await runPreview(article);
+          try {
+            recordOpened(article);
+          } catch (error) {
+            // Reading matters more than remembering it
+          }
+          stdin.on('data', handleKeyPress);
+          displayDashboard(clusters, selectedCluster, showHelpPanel, selectedItem);
+        } else if ((key === "o" || /^[1-9]$/.test(key)) && clusters[selectedCluster]) {
+          // o opens the item under the cursor, 1-9 open the nth item of the topic
+          const index = key === "o" ? Math.max(selectedItem, 0) : parseInt(key) - 1;
+          const article = clusters[selectedCluster].items[index];
+          if (!article) return;
           console.log(`\nOpening: ${article.title}`);
           console.log(`${article.url}`);
           await open(article.url);
+          try {
+            recordOpened(article);
+          } catch (error) {
+            // Opening matters more than remembering it
+          }
           setTimeout(
-            () => displayDashboard(clusters, selectedCluster, showHelpPanel),
+            () => displayDashboard(clusters, selectedCluster, showHelpPanel, selectedItem),
             1500
           );
         } else if (key === "r") {
           // Simple refresh without complex spinners
           console.log('\nRefreshing...');
           try {
-            const articles = await fetchDailyTechFeed();
+            const articles = await fetchDailyTechFeed(parseInt(options.limit || 20), options);
             if (articles && articles.length > 0) {
-              clusters = clusterArticles(articles);
+              clusters = clusterItems(articles, options.similarityThreshold);
               selectedCluster = 0;
+              selectedItem = -1;
               console.log('✓ Content refreshed!');
             } else {
               console.log('✗ Failed to refresh content');
@@ -198,11 +160,11 @@ async function runInteractiveDashboard(clusters) {
             console.log('✗ Failed to refresh content');
           }
           
-          setTimeout(() => displayDashboard(clusters, selectedCluster, showHelpPanel), 1000);
+          setTimeout(() => displayDashboard(clusters, selectedCluster, showHelpPanel, selectedItem), 1000);
         }
       } catch (error) {
         // Silently handle any errors and continue
-        displayDashboard(clusters, selectedCluster, showHelpPanel);
+        displayDashboard(clusters, selectedCluster, showHelpPanel, selectedItem);
       }
     };
 
@@ -215,7 +177,14 @@ export async function startNewsReader(options = {}) {
   const spinner = createSpinner('Fetching tech news...');
   spinner.start();
 
-  const articles = await fetchDailyTechFeed(parseInt(options.limit || 20));
+  let articles = [];
+  try {
+    articles = await fetchDailyTechFeed(parseInt(options.limit || 20), options);
+  } catch (error) {
+    spinner.fail();
+    showError(`Error fetching articles: ${error.message}`);
+    return;
+  }
   
   if (articles.length === 0) {
     spinner.fail();
@@ -225,9 +194,13 @@ export async function startNewsReader(options = {}) {
 
   let filteredArticles = articles;
   if (options.filter) {
-    filteredArticles = articles.filter((article) =>
-      article.title.toLowerCase().includes(options.filter.toLowerCase())
-    );
+    try {
+      filteredArticles = filterItems(articles, options.filter);
+    } catch (error) {
+      spinner.fail();
+      showError(error.message);
+      return;
+    }
     if (filteredArticles.length === 0) {
       spinner.fail();
       showError(`No content found matching "${options.filter}".`);
@@ -240,16 +213,22 @@ export async function startNewsReader(options = {}) {
     showFound(`Found ${articles.length} articles`);
   }
 
-  const clusters = clusterArticles(filteredArticles);
+  const clusters = clusterItems(filteredArticles, options.similarityThreshold);
   if (clusters.length === 0) {
     showError("No content found matching your criteria.");
     return;
   }
 
   showFound(`Organized into ${clusters.length} topics`);
+
+  // Without a terminal there is no dashboard; list the topics instead
+  if (!isInteractive()) {
+    process.stdout.write(`\n${formatClusters(clusters, "text")}`);
+    return;
+  }
   
   setTimeout(async () => {
-    const result = await runInteractiveDashboard(clusters);
+    const result = await runInteractiveDashboard(clusters, options);
     if (result === 'menu') {
       return; // Return to main menu
     }
@@ -263,11 +242,15 @@ program
   .description("Terminal-based tech news reader")
   .version("2.0.0")
   .option(
-    "-f, --filter <keyword>",
+    "-f, --filter <query>",
     'Filter by keyword (e.g., "react", "ai", "rust")'
   )
   .option("-l, --limit <number>", "Number of items to fetch", "20")
+  .option("--hn-feed <feed>", `Hacker News feed: ${HN_FEED_NAMES.join(", ")}`, "new")
+  .option("--min-score <points>", "Skip stories with fewer points")
+  .option("--no-color", "Disable colors (NO_COLOR is honored too)")
   .action(async (options) => {
+    setColorEnabled(options.color);
     await startNewsReader(options);
   });
 
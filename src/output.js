@@ -0,0 +1,140 @@
+// Non-interactive output of clustered items, for scripts and pipes.
+// The JSON schema is documented in the README; bump SCHEMA_VERSION when a
+// field changes meaning or goes away.
+
+export const OUTPUT_FORMATS = ['json', 'ndjson', 'markdown', 'text', 'csv'];
+
+const SCHEMA_VERSION = 1;
+
+// The stable subset of an item; fields a source does not have are null
+export function serializeItem(item) {
+  return {
+    id: item.id,
+    provider: item.provider || null,
+    type: item.type,
+    title: item.title,
+    url: item.url,
+    source: item.source ? item.source.name : null,
+    tags: item.tags || [],
+    createdAt: item.createdAt || null,
+    score: item.score ?? null,
+    comments: item.comments ?? null,
+    author: item.author ?? null,
+    discussionUrl: item.discussionUrl ?? null,
+    summary: item.summary ?? null,
+    readTime: item.readTime ?? null,
+    image: item.image ?? null,
+    stars: item.stars ?? null,
+    language: item.language ?? null,
+    description: item.description ?? null,
+    // Every source of a story posted more than once, null otherwise
+    sources: item.sources
+      ? item.sources.map((entry) => ({
+        provider: entry.provider || null,
+        source: entry.name,
+        url: entry.url,
+        score: entry.score ?? null,
+        comments: entry.comments ?? null,
+        discussionUrl: entry.discussionUrl ?? null
+      }))
+      : null
+  };
+}
+
+function serializeTopic(cluster) {
+  return {
+    id: cluster.id,
+    headline: cluster.headline,
+    type: cluster.type,
+    size: cluster.items.length,
+    items: cluster.items.map(serializeItem)
+  };
+}
+
+function toJSON(clusters, meta) {
+  return JSON.stringify({
+    version: SCHEMA_VERSION,
+    generatedAt: new Date().toISOString(),
+    filter: meta.filter || null,
+    cachedAt: meta.cachedAt || null,
+    errors: meta.errors || [],
+    topics: clusters.map(serializeTopic)
+  }, null, 2) + '\n';
+}
+
+// One item per line, each carrying its topic
+function toNDJSON(clusters) {
+  return clusters
+    .flatMap((cluster) => cluster.items.map((item) => JSON.stringify({
+      topicId: cluster.id,
+      topic: cluster.headline,
+      ...serializeItem(item)
+    }) + '\n'))
+    .join('');
+}
+
+function escapeMarkdown(text) {
+  return text.replace(/([[\]\\])/g, '\\$1');
+}
+
+function toMarkdown(clusters) {
+  return clusters
+    .map((cluster) => [
+      `## ${cluster.headline} (${cluster.items.length})`,
+      '',
+      ...cluster.items.map((item) => {
+        const source = item.source ? ` - ${item.source.name}` : '';
+        return `- [${escapeMarkdown(item.title)}](${item.url})${source}`;
+      }),
+      ''
+    ].join('\n'))
+    .join('\n');
+}
+
+function toText(clusters) {
+  return clusters
+    .map((cluster) => [
+      `${cluster.headline} (${cluster.items.length})`,
+      ...cluster.items.flatMap((item) => [`  ${item.title}`, `    ${item.url}`]),
+      ''
+    ].join('\n'))
+    .join('\n');
+}
+
+// RFC 4180 quoting: fields with commas, quotes or newlines are quoted
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const CSV_COLUMNS = [
+  'topicId', 'topic', 'provider', 'id', 'type', 'title', 'url', 'source',
+  'createdAt', 'score', 'comments', 'author', 'tags'
+];
+
+function toCSV(clusters) {
+  const rows = clusters.flatMap((cluster) => cluster.items.map((item) => {
+    const row = { topicId: cluster.id, topic: cluster.headline, ...serializeItem(item) };
+    row.tags = row.tags.join(';');
+    return CSV_COLUMNS.map((column) => csvField(row[column])).join(',');
+  }));
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+// meta: { filter, cachedAt, errors } as known to the caller (JSON only)
+export function formatClusters(clusters, format, meta = {}) {
+  switch (format) {
+    case 'json':
+      return toJSON(clusters, meta);
+    case 'ndjson':
+      return toNDJSON(clusters);
+    case 'markdown':
+      return toMarkdown(clusters);
+    case 'text':
+      return toText(clusters);
+    case 'csv':
+      return toCSV(clusters);
+    default:
+      throw new Error(`Unknown format "${format}". Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+}
@@ -0,0 +1,337 @@
+import open from "open";
+import chalk from "chalk";
+import { accent, wrapText } from "./ui-utils.js";
+import { decodeEntities } from "./html-utils.js";
+import { fetchPage } from "./http.js";
+
+// Elements that never hold the article text
+const BOILERPLATE = [
+  "script", "style", "noscript", "template", "svg", "nav", "header", "footer", "aside", "form", "iframe", "button", "select",
+];
+
+// Tags that end the block before them, closing or not. HTML lets </p> and
+// </li> be left out, so a paragraph runs until the next block-level tag.
+const BLOCK_BOUNDARIES = new Set([
+  "address", "article", "blockquote", "dd", "div", "dl", "dt", "figcaption", "figure", "h1", "h2", "h3", "h4", "h5",
+  "h6", "hr", "li", "main", "ol", "p", "pre", "section", "table", "td", "th", "tr", "ul",
+]);
+
+// Blocks whose text is read: headings, paragraphs and list items
+const TEXT_BLOCKS = new Set(["h1", "h2", "h3", "h4", "h5", "h6", "p", "li"]);
+
+// Less text than this means the page is not an article (or is rendered by scripts)
+const MIN_WORDS = 50;
+
+const WORDS_PER_MINUTE = 230;
+
+// Attributes of a single tag, e.g. <meta property="og:title" content="...">
+function attributes(tag) {
+  const result = {};
+  for (const [, name, , doubleQuoted, singleQuoted, bare] of tag.matchAll(/([a-z][\w:-]*)\s*=\s*("([^"]*)"|'([^']*)'|([^\s>]+))/gi)) {
+    result[name.toLowerCase()] = decodeEntities(doubleQuoted ?? singleQuoted ?? bare);
+  }
+  return result;
+}
+
+// <meta> contents by name or property, e.g. "og:description" or "author"
+function metadata(html) {
+  const meta = {};
+  for (const [tag] of html.matchAll(/<meta\s[^>]*>/gi)) {
+    const attrs = attributes(tag);
+    const key = (attrs.property || attrs.name || "").toLowerCase();
+    if (key && attrs.content && attrs.content.trim() && !(key in meta)) {
+      meta[key] = attrs.content.trim();
+    }
+  }
+  return meta;
+}
+
+// Text of an inline fragment on one line
+function inlineText(html) {
+  return decodeEntities(html.replace(/<br\s*\/?>/gi, " ").replace(/<[^>]+>/g, ""))
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function wordCount(text) {
+  return text.split(" ").filter(Boolean).length;
+}
+
+function stripBoilerplate(html) {
+  return BOILERPLATE.reduce(
+    (text, tag) => text.replace(new RegExp(`<${tag}(?=[\\s>/])[\\s\\S]*?<\\/${tag}\\s*>`, "gi"), ""),
+    html.replace(/<!--[\s\S]*?-->/g, "")
+  );
+}
+
+function addBlock(blocks, name, html, quoted) {
+  const text = inlineText(html);
+  if (!text) return;
+  if (quoted) {
+    blocks.push({ type: "quote", text });
+  } else if (name[0] === "h") {
+    blocks.push({ type: "heading", text });
+  } else if (wordCount(text) >= 3 || (name === "p" && /[.!?:]$/.test(text))) {
+    // Short fragments are mostly buttons and labels ("Share", "Next post")
+    blocks.push({ type: name === "li" ? "item" : "paragraph", text });
+  }
+}
+
+// Headings, paragraphs, code, quotes and list items in page order, read in
+// one pass over the tags
+function blocksOf(html) {
+  const blocks = [];
+  const tags = /<(\/?)([a-z][a-z0-9]*)\b[^>]*>/gi;
+  let open = null; // { name, start } of the block being read
+  let quoteDepth = 0;
+
+  const close = (end) => {
+    if (open) addBlock(blocks, open.name, html.slice(open.start, end), quoteDepth > 0);
+    open = null;
+  };
+
+  let match;
+  while ((match = tags.exec(html))) {
+    const [tag, closing, tagName] = match;
+    const name = tagName.toLowerCase();
+    if (!BLOCK_BOUNDARIES.has(name)) continue;
+
+    close(match.index);
+    const start = match.index + tag.length;
+    if (closing) {
+      if (name === "blockquote") quoteDepth = Math.max(quoteDepth - 1, 0);
+    } else if (name === "pre") {
+      // Code runs to its own closing tag, whatever it contains
+      const end = /<\/pre\s*>/gi;
+      end.lastIndex = start;
+      const found = end.exec(html);
+      const code = decodeEntities(html.slice(start, found ? found.index : html.length).replace(/<[^>]+>/g, ""))
+        .replace(/^\n+|\s+$/g, "");
+      if (code) blocks.push({ type: "code", text: code });
+      tags.lastIndex = found ? end.lastIndex : html.length;
+    } else if (name === "blockquote") {
+      // Quotes hold paragraphs, or text of their own
+      quoteDepth++;
+      open = { name, start };
+    } else if (TEXT_BLOCKS.has(name)) {
+      open = { name, start };
+    }
+  }
+  close(html.length);
+
+  return blocks;
+}
+
+function readableWords(blocks) {
+  return blocks
+    .filter((block) => block.type !== "code")
+    .reduce((sum, block) => sum + wordCount(block.text), 0);
+}
+
+// The biggest <article>, else the biggest <main>, else the whole body
+function contentBlocks(html) {
+  for (const tag of ["article", "main"]) {
+    const candidates = [...html.matchAll(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)<\\/${tag}\\s*>`, "gi"))]
+      .map(([, inner]) => blocksOf(inner))
+      .sort((a, b) => readableWords(b) - readableWords(a));
+    if (candidates.length > 0 && readableWords(candidates[0]) >= MIN_WORDS) {
+      return candidates[0];
+    }
+  }
+  const body = html.match(/<body\b[^>]*>([\s\S]*)<\/body\s*>/i);
+  return blocksOf(body ? body[1] : html);
+}
+
+function findByline(html, meta) {
+  const author = meta.author || meta["article:author"];
+  if (author && !/^https?:/.test(author)) {
+    return author;
+  }
+  const link = html.match(/<a\s[^>]*rel=["']?author["']?[^>]*>([\s\S]*?)<\/a>/i);
+  const byline = link && inlineText(link[1]);
+  return byline && byline.length <= 80 ? byline : null;
+}
+
+// Title, byline and readable blocks of a page. `blocks` is empty when no
+// article text could be found; `description` is the page's own summary.
+export function extractArticle(html) {
+  const meta = metadata(html);
+  const titleTag = html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+  const title = meta["og:title"] || meta["twitter:title"] || (titleTag && inlineText(titleTag[1])) || null;
+
+  const blocks = contentBlocks(stripBoilerplate(html));
+  // The heading that repeats the title is already shown above the text
+  if (blocks[0] && blocks[0].type === "heading" && title && blocks[0].text.toLowerCase() === title.toLowerCase()) {
+    blocks.shift();
+  }
+  const words = readableWords(blocks);
+
+  return {
+    title,
+    byline: findByline(html, meta),
+    siteName: meta["og:site_name"] || null,
+    description: meta["og:description"] || meta.description || meta["twitter:description"] || null,
+    blocks: words >= MIN_WORDS ? blocks : [],
+    words,
+  };
+}
+
+function truncate(line, width) {
+  return line.length > width ? `${line.slice(0, width - 1)}…` : line;
+}
+
+function blockLines(block, width) {
+  switch (block.type) {
+    case "heading":
+      return wrapText(block.text, width).map((line) => chalk.bold(line));
+    case "quote":
+      return wrapText(block.text, width - 2).map((line) => `${chalk.dim("│")} ${chalk.italic(line)}`);
+    case "item":
+      return wrapText(block.text, width - 4).map((line, index) => `${index === 0 ? "  • " : "    "}${line}`);
+    case "code":
+      // Code keeps its lines; long ones are cut rather than wrapped
+      return block.text
+        .replace(/\t/g, "  ")
+        .split("\n")
+        .map((line) => `    ${chalk.gray(truncate(line, width - 4))}`);
+    default:
+      return wrapText(block.text, width);
+  }
+}
+
+function bodyLines(state, width) {
+  const { article } = state;
+  if (article.blocks.length === 0) {
+    const lines = [chalk.dim("Could not find the article text on this page."), ""];
+    if (article.description) {
+      lines.push(...wrapText(article.description, width), "");
+    }
+    lines.push(chalk.dim("Press o to read it in the browser."));
+    return lines;
+  }
+
+  const lines = [];
+  article.blocks.forEach((block, index) => {
+    // List items stay together, everything else is a paragraph of its own
+    const previous = article.blocks[index - 1];
+    if (index > 0 && !(block.type === "item" && previous.type === "item")) {
+      lines.push("");
+    }
+    lines.push(...blockLines(block, width));
+  });
+  return lines;
+}
+
+function displayPreview(item, state) {
+  const width = Math.min(process.stdout.columns || 80, 100);
+  const height = process.stdout.rows || 24;
+  const article = state.article;
+
+  const title = (article && article.title) || item.title;
+  const meta = [
+    article && article.byline ? `by ${article.byline}` : null,
+    (article && article.siteName) || (item.source && item.source.name) || item.provider,
+    article && article.blocks.length > 0 ? `${Math.max(1, Math.round(article.words / WORDS_PER_MINUTE))} min read` : null,
+  ].filter(Boolean);
+  const header = [
+    ...wrapText(title, width).map((line) => accent(chalk.bold(line))),
+    chalk.dim(meta.join(" · ")),
+    "",
+  ];
+
+  console.clear();
+  header.forEach((line) => console.log(line));
+
+  const keys = `${chalk.dim("↑↓")} Scroll  ${chalk.dim("Space/PgDn")} Page  ${chalk.dim("o")} Open in browser  ${chalk.dim("q/←")} Back`;
+  if (state.message) {
+    console.log(chalk.dim(state.message));
+    console.log(`\n${keys}`);
+    return;
+  }
+
+  const lines = bodyLines(state, width);
+  state.page = Math.max(height - header.length - 3, 5);
+  state.top = Math.max(0, Math.min(state.top, lines.length - state.page));
+
+  lines.slice(state.top, state.top + state.page).forEach((line) => console.log(line));
+  const shown = Math.min(state.top + state.page, lines.length);
+  const position = lines.length > state.page ? `${Math.round((shown / lines.length) * 100)}%  ` : "";
+  console.log(`\n${chalk.dim(position)}${keys}`);
+}
+
+// Scrollable reader for an item's page. Takes over stdin (already in raw
+// mode) until the user goes back, then resolves.
+export async function runPreview(item) {
+  const stdin = process.stdin;
+  const state = {
+    article: null,
+    message: "Loading article...",
+    top: 0,
+    page: 10, // body lines on screen, set on each render
+    closed: false,
+  };
+  // The page may load after the user went back; never draw over the dashboard
+  const render = () => {
+    if (!state.closed) displayPreview(item, state);
+  };
+
+  render();
+
+  return new Promise((resolve) => {
+    const handleKeyPress = async (key) => {
+      try {
+        if (key === "q" || key === "\u001B" || key === "\u001B[D" || key === "\u0003") {
+          state.closed = true;
+          stdin.removeListener("data", handleKeyPress);
+          resolve();
+          return;
+        }
+
+        if (key === "o") {
+          await open(item.url);
+          return;
+        }
+
+        if (state.message) return;
+
+        if (key === "\u001B[A" || key === "k") {
+          state.top--;
+        } else if (key === "\u001B[B" || key === "j" || key === "\r") {
+          state.top++;
+        } else if (key === " " || key === "\u001B[6~" || key === "f") {
+          state.top += state.page - 1;
+        } else if (key === "\u001B[5~" || key === "b") {
+          state.top -= state.page - 1;
+        } else if (key === "g" || key === "\u001B[H" || key === "\u001B[1~") {
+          state.top = 0;
+        } else if (key === "G" || key === "\u001B[F" || key === "\u001B[4~") {
+          state.top = Infinity;
+        } else {
+          return;
+        }
+
+        render();
+      } catch (error) {
+        render();
+      }
+    };
+
+    stdin.on("data", handleKeyPress);
+
+    fetchPage(item.url, { headers: { Accept: "text/html,application/xhtml+xml" } })
+      .then((page) => {
+        if (page.text === null) {
+          const type = page.contentType.split(";")[0].trim();
+          state.message = `This link is not a web page (${type}), press o to open it in the browser.`;
+        } else {
+          state.article = extractArticle(page.text);
+          state.message = null;
+        }
+        render();
+      })
+      .catch((error) => {
+        state.message = `Could not load the page: ${error.message}`;
+        render();
+      });
+  });
+}
@@ -0,0 +1,151 @@
+import { fetchJSON } from "../http.js";
+
+const API_URL = "https://daily.dev/api/graphql";
+
+// Posts asked for per request; larger limits follow the cursor
+const PAGE_SIZE = 50;
+
+const POST_FIELDS = `
+  pageInfo {
+    hasNextPage
+    endCursor
+  }
+  edges {
+    node {
+      id
+      title
+      permalink
+      commentsPermalink
+      createdAt
+      readTime
+      image
+      summary
+      numUpvotes
+      numComments
+      tags
+      source {
+        name
+      }
+    }
+  }
+`;
+
+const POPULAR_QUERY = `
+  query PopularFeed($first: Int, $after: String) {
+    page: anonymousFeed(first: $first, after: $after, ranking: POPULARITY, supportedTypes: ["article"]) {
+      ${POST_FIELDS}
+    }
+  }
+`;
+
+const TAG_QUERY = `
+  query TagFeed($tag: String!, $first: Int, $after: String) {
+    page: tagFeed(tag: $tag, first: $first, after: $after, ranking: POPULARITY, supportedTypes: ["article"]) {
+      ${POST_FIELDS}
+    }
+  }
+`;
+
+async function fetchPage(query, variables) {
+  const response = await fetchJSON(API_URL, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ query, variables }),
+  });
+
+  if (response.errors && response.errors.length > 0) {
+    throw new Error(response.errors[0].message);
+  }
+  const page = response.data && response.data.page;
+  if (!page || !Array.isArray(page.edges)) {
+    throw new Error("Unexpected response from daily.dev");
+  }
+  return page;
+}
+
+function toItem(post) {
+  return {
+    id: post.id,
+    title: post.title,
+    url: post.permalink,
+    createdAt: post.createdAt,
+    source: { name: (post.source && post.source.name) || "daily.dev" },
+    tags: post.tags || [],
+    type: "app",
+    score: post.numUpvotes || 0,
+    comments: post.numComments || 0,
+    discussionUrl: post.commentsPermalink || undefined,
+    readTime: post.readTime || undefined,
+    image: post.image || undefined,
+    summary: post.summary || undefined,
+  };
+}
+
+// Follow the cursor until `limit` posts were collected or the feed ends
+async function fetchFeed(limit, tag) {
+  const items = [];
+  let after = null;
+
+  while (items.length < limit) {
+    const variables = { first: Math.min(PAGE_SIZE, limit - items.length), after };
+    const page = await fetchPage(tag ? TAG_QUERY : POPULAR_QUERY, tag ? { ...variables, tag } : variables);
+    // Posts missing a title or link are skipped instead of failing the page
+    page.edges
+      .map((edge) => edge && edge.node)
+      .filter((post) => post && post.title && post.permalink)
+      .forEach((post) => items.push(toItem(post)));
+
+    const next = page.pageInfo && page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+    if (!next || next === after || page.edges.length === 0) {
+      break;
+    }
+    after = next;
+  }
+
+  return items.slice(0, limit);
+}
+
+// Take turns between the tag feeds so every tag gets a share of the limit
+function interleave(lists, limit) {
+  const seen = new Set();
+  const mixed = [];
+  for (let index = 0; mixed.length < limit && lists.some((list) => index < list.length); index++) {
+    for (const list of lists) {
+      const item = list[index];
+      if (item && !seen.has(item.id) && mixed.length < limit) {
+        seen.add(item.id);
+        mixed.push(item);
+      }
+    }
+  }
+  return mixed;
+}
+
+export const dailyDevProvider = {
+  id: "dailydev",
+  name: "daily.dev",
+
+  // options: { tags } reads those tag feeds instead of the popular feed
+  async fetch(limit = 20, options = {}) {
+    const tags = options.tags || [];
+    if (tags.length === 0) {
+      return fetchFeed(limit);
+    }
+
+    const results = await Promise.allSettled(tags.map((tag) => fetchFeed(limit, tag)));
+    const failed = results.filter((result) => result.status === "rejected");
+    if (failed.length === results.length) {
+      throw failed[0].reason;
+    }
+    results.forEach((result, index) => {
+      if (result.status === "rejected" && options.reportError) {
+        options.reportError(new Error(`#${tags[index]}: ${result.reason.message}`));
+      }
+    });
+
+    return interleave(
+      results.map((result) => (result.status === "fulfilled" ? result.value : [])),
+      limit
+    );
+  },
+};
@@ -0,0 +1,91 @@
+import { fetchJSON } from "../http.js";
+
+const SEARCH_URL = "https://api.github.com/search/repositories";
+
+// The search API returns at most 100 repositories per page
+const PAGE_SIZE = 100;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Search qualifiers: several languages match any of them, several topics
+// must all be present, e.g. "created:>2025-01-01 language:rust language:go topic:cli"
+function searchQuery({ days = 7, languages = [], topics = [] }) {
+  const since = new Date(Date.now() - days * DAY).toISOString().slice(0, 10);
+  return [
+    `created:>${since}`,
+    ...languages.map((language) => `language:${language}`),
+    ...topics.map((topic) => `topic:${topic}`),
+  ].join(" ");
+}
+
+// Unauthenticated searches are limited to a few per minute; GITHUB_TOKEN lifts that
+function headers() {
+  return {
+    Accept: "application/vnd.github+json",
+    ...(process.env.GITHUB_TOKEN ? { Authorization: `Bearer ${process.env.GITHUB_TOKEN}` } : {}),
+  };
+}
+
+async function searchPage(query, page, perPage) {
+  const params = new URLSearchParams({
+    q: query,
+    sort: "stars",
+    order: "desc",
+    per_page: String(perPage),
+    page: String(page),
+  });
+
+  try {
+    return await fetchJSON(`${SEARCH_URL}?${params}`, { headers: headers() });
+  } catch (error) {
+    if (error.status === 403 || error.status === 429) {
+      throw new Error("GitHub rate limit reached, set GITHUB_TOKEN for more searches");
+    }
+    throw error;
+  }
+}
+
+function toItem(repo) {
+  return {
+    id: String(repo.id),
+    title: repo.description ? `${repo.full_name}: ${repo.description}` : repo.full_name,
+    url: repo.html_url,
+    createdAt: repo.created_at,
+    source: { name: "GitHub" },
+    // Topics and the language help clustering and tag: filters
+    tags: [...new Set([...(repo.topics || []), ...(repo.language ? [repo.language.toLowerCase()] : [])])],
+    type: "repo",
+    score: repo.stargazers_count || 0,
+    author: repo.owner ? repo.owner.login : undefined,
+    stars: repo.stargazers_count || 0,
+    language: repo.language || undefined,
+    description: repo.description || undefined,
+  };
+}
+
+export const githubProvider = {
+  id: "github",
+  name: "GitHub",
+
+  // The most starred repositories created in the last `days` days.
+  // options: { days, languages, topics }
+  async fetch(limit = 20, options = {}) {
+    const query = searchQuery(options);
+    const items = [];
+
+    for (let page = 1; items.length < limit; page++) {
+      const perPage = Math.min(PAGE_SIZE, limit);
+      const result = await searchPage(query, page, perPage);
+      const repos = Array.isArray(result.items) ? result.items : [];
+      repos
+        .filter((repo) => repo && repo.full_name && repo.html_url)
+        .forEach((repo) => items.push(toItem(repo)));
+
+      if (repos.length < perPage || page * perPage >= (result.total_count || 0)) {
+        break;
+      }
+    }
+
+    return items.slice(0, limit);
+  },
+};
@@ -0,0 +1,103 @@
+import { fetchJSON } from "../http.js";
+
+const HN_API = "https://hacker-news.firebaseio.com/v0";
+
+// Feed modes and the HN API list behind each one
+export const HN_FEEDS = {
+  top: "topstories",
+  new: "newstories",
+  best: "beststories",
+  ask: "askstories",
+  show: "showstories",
+  jobs: "jobstories",
+};
+
+// "discover" samples top and new stories at random instead of keeping HN's order
+export const HN_FEED_NAMES = [...Object.keys(HN_FEEDS), "discover"];
+
+// Ids are fetched in batches of `limit` until enough stories pass --min-score,
+// looking at no more than this many
+const MAX_SCANNED = 200;
+
+async function fetchStoryIds(list) {
+  const storyIds = await fetchJSON(`${HN_API}/${list}.json`);
+  if (!Array.isArray(storyIds) || storyIds.length === 0) {
+    throw new Error("No stories available");
+  }
+  return storyIds;
+}
+
+// Fisher-Yates, so every order is equally likely
+function shuffle(ids) {
+  const shuffled = [...ids];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+async function fetchFeedIds(feed) {
+  if (feed === "discover") {
+    const lists = await Promise.all([fetchStoryIds(HN_FEEDS.top), fetchStoryIds(HN_FEEDS.new)]);
+    return shuffle([...new Set(lists.flat())]);
+  }
+  if (!HN_FEEDS[feed]) {
+    throw new Error(`Unknown HN feed "${feed}". Use one of: ${HN_FEED_NAMES.join(", ")}`);
+  }
+  return fetchStoryIds(HN_FEEDS[feed]);
+}
+
+// Any HN item (story, comment, job...) by id
+export function fetchHackerNewsItem(id) {
+  return fetchJSON(`${HN_API}/item/${id}.json`);
+}
+
+// Ask HN posts and some jobs have no link of their own; they point at HN
+function toItem(story) {
+  const discussionUrl = `https://news.ycombinator.com/item?id=${story.id}`;
+  return {
+    id: story.id.toString(),
+    title: story.title,
+    url: story.url || discussionUrl,
+    createdAt: new Date(story.time * 1000).toISOString(),
+    source: { name: "Hacker News" },
+    tags: [],
+    type: "news",
+    score: story.score || 0,
+    comments: story.descendants || 0,
+    author: story.by,
+    kids: story.kids || [],
+    discussionUrl,
+  };
+}
+
+export const hackerNewsProvider = {
+  id: "hackernews",
+  name: "Hacker News",
+
+  // options: { feed (see HN_FEED_NAMES, default "top"), minScore }
+  async fetch(limit = 20, options = {}) {
+    const storyIds = await fetchFeedIds(options.feed || "top");
+    const minScore = options.minScore || 0;
+    const candidates = storyIds.slice(0, minScore > 0 ? Math.max(MAX_SCANNED, limit) : limit);
+    const items = [];
+    let failure = null;
+
+    // Stories keep the order of the feed; a story that fails to load is skipped
+    for (let start = 0; start < candidates.length && items.length < limit; start += limit) {
+      const results = await Promise.allSettled(candidates.slice(start, start + limit).map(fetchHackerNewsItem));
+      failure = failure || results.find((result) => result.status === "rejected");
+      results
+        .map((result) => result.value)
+        .filter((story) => story && story.title && !story.deleted && !story.dead)
+        .filter((story) => (story.score || 0) >= minScore)
+        .forEach((story) => items.push(toItem(story)));
+    }
+
+    if (items.length === 0 && failure) {
+      throw failure.reason;
+    }
+    return items.slice(0, limit);
+  },
+};
@@ -0,0 +1,176 @@
+import { hackerNewsProvider } from "./hackernews.js";
+import { dailyDevProvider } from "./dailydev.js";
+import { rssProvider } from "./rss.js";
+import { githubProvider } from "./github.js";
+import { redditProvider, DEFAULT_SUBREDDITS } from "./reddit.js";
+import { lobstersProvider } from "./lobsters.js";
+import { readCachedItems, writeCachedItems, isFresh } from "../cache.js";
+
+// Content providers keyed by id, in registration order.
+// A provider is { id, name, fetch(limit, options) } where fetch resolves to
+// normalized items ({ id, title, url, createdAt, source, tags, type }) and
+// throws when the source cannot be reached. Items may also carry score,
+// comments, author and discussionUrl when the source has them. A provider
+// with several upstreams (e.g. feeds) passes the failures it got past to
+// options.reportError so they are shown next to the whole-source errors.
+// A provider with nothing to fetch until it is set up (e.g. no feeds added)
+// has isEnabled(options) and is left out of runs while that returns false.
+const providers = new Map();
+
+export function registerProvider(provider) {
+  if (!provider || !provider.id || typeof provider.fetch !== "function") {
+    throw new Error("A provider needs an id and a fetch(limit, options) function");
+  }
+  providers.set(provider.id, provider);
+}
+
+export function getProvider(id) {
+  return providers.get(id);
+}
+
+export function listProviders() {
+  return [...providers.values()];
+}
+
+// Pick the providers for a run: `sources` whitelists ids, `exclude` removes them
+export function resolveProviders({ sources, exclude } = {}) {
+  const requested = [...(sources || []), ...(exclude || [])];
+  const unknown = requested.filter((id) => !providers.has(id));
+  if (unknown.length > 0) {
+    const available = [...providers.keys()].join(", ");
+    throw new Error(`Unknown source "${unknown[0]}". Available sources: ${available}`);
+  }
+
+  return listProviders().filter((provider) => {
+    if (sources && sources.length > 0 && !sources.includes(provider.id)) return false;
+    if (exclude && exclude.includes(provider.id)) return false;
+    return true;
+  });
+}
+
+// Items for one provider, from the network or the on-disk cache. `offline`
+// only reads the cache, `maxAge` (ms) skips the network while the cached fetch
+// is younger than that. When the network fails, cached items stand in and the
+// error is still reported.
+async function fetchWithCache(provider, limit, options, providerOptions) {
+  // Provider options (e.g. another HN feed) get a cache entry of their own
+  const cacheKey = Object.keys(providerOptions).length > 0
+    ? `${provider.id}:${JSON.stringify(providerOptions)}`
+    : provider.id;
+  const cached = readCachedItems(cacheKey);
+  const fromCache = () => ({
+    items: cached.items.slice(0, limit),
+    cachedAt: cached.fetchedAt,
+  });
+
+  if (options.offline) {
+    if (!cached) {
+      throw new Error("nothing cached yet");
+    }
+    return fromCache();
+  }
+  if (isFresh(cached, options.maxAge)) {
+    return fromCache();
+  }
+
+  const warnings = [];
+  try {
+    const items = await provider.fetch(limit, {
+      ...providerOptions,
+      reportError: (error) => warnings.push(error),
+    });
+    writeCachedItems(cacheKey, items);
+    return { items, cachedAt: null, warnings };
+  } catch (error) {
+    if (cached) {
+      return { ...fromCache(), error };
+    }
+    throw error;
+  }
+}
+
+// Fetch from every enabled provider in parallel. A failing provider does not
+// fail the run; its error is reported alongside the items of the others.
+// `cachedAt` is the time of the oldest cached fetch used, null when every
+// item is live.
+export async function fetchFromProviders(limit = 20, options = {}) {
+  const providerOptions = options.providerOptions || {};
+  const selected = resolveProviders(options).filter(
+    (provider) => !provider.isEnabled || provider.isEnabled(providerOptions[provider.id] || {})
+  );
+
+  const results = await Promise.all(
+    selected.map(async (provider) => {
+      try {
+        const { items, cachedAt, error = null, warnings = [] } = await fetchWithCache(
+          provider,
+          limit,
+          options,
+          providerOptions[provider.id] || {}
+        );
+        // Remember where each item came from
+        items.forEach((item) => {
+          item.provider = provider.id;
+        });
+        return { provider, items, cachedAt, errors: error ? [error, ...warnings] : warnings };
+      } catch (error) {
+        return { provider, items: [], cachedAt: null, errors: [error] };
+      }
+    })
+  );
+
+  const cachedTimes = results
+    .map((result) => result.cachedAt)
+    .filter(Boolean)
+    .sort();
+
+  return {
+    items: results.flatMap((result) => result.items),
+    errors: results.flatMap((result) => result.errors.map((error) => ({
+      source: result.provider.id,
+      name: result.provider.name,
+      message: error.message,
+    }))),
+    cachedAt: cachedTimes[0] || null,
+  };
+}
+
+// Provider options for fetchFromProviders from the settings. Defaults are
+// left out so they keep sharing the plain cache entry.
+export function providerOptionsFor(settings = {}) {
+  const hackernews = {};
+  if (settings.hnFeed && settings.hnFeed !== "top") hackernews.feed = settings.hnFeed;
+  if (settings.minScore > 0) hackernews.minScore = settings.minScore;
+  const dailydev = {};
+  if (settings.dailyDevTags && settings.dailyDevTags.length > 0) dailydev.tags = settings.dailyDevTags;
+  const github = {};
+  if (settings.githubDays && settings.githubDays !== 7) github.days = settings.githubDays;
+  if (settings.githubLanguages && settings.githubLanguages.length > 0) github.languages = settings.githubLanguages;
+  if (settings.githubTopics && settings.githubTopics.length > 0) github.topics = settings.githubTopics;
+  const reddit = {};
+  if (settings.subreddits && settings.subreddits.join() !== DEFAULT_SUBREDDITS.join()) reddit.subreddits = settings.subreddits;
+  const lobsters = {};
+  if (settings.lobstersFeed && settings.lobstersFeed !== "hottest") lobsters.feed = settings.lobstersFeed;
+  return { hackernews, dailydev, github, reddit, lobsters };
+}
+
+// Collect a repeatable --tag flag, e.g. --tag react --tag rust (commas work too)
+export function collectTags(value, previous = []) {
+  const tags = value.split(",").map((tag) => tag.trim().replace(/^#/, "").toLowerCase()).filter(Boolean);
+  return [...new Set([...previous, ...tags])];
+}
+
+// Parse a comma separated --sources/--exclude value
+export function parseSourceList(value) {
+  return value
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+}
+
+registerProvider(hackerNewsProvider);
+registerProvider(dailyDevProvider);
+registerProvider(rssProvider);
+registerProvider(githubProvider);
+registerProvider(redditProvider);
+registerProvider(lobstersProvider);
@@ -0,0 +1,64 @@
+import { fetchJSON } from "../http.js";
+
+export const LOBSTERS_FEEDS = ["hottest", "newest"];
+
+// Page 1 of each feed, then /page/N.json or /newest/page/N.json, 25 stories a page
+function pageUrl(feed, page) {
+  if (page === 1) {
+    return `https://lobste.rs/${feed}.json`;
+  }
+  return feed === "newest"
+    ? `https://lobste.rs/newest/page/${page}.json`
+    : `https://lobste.rs/page/${page}.json`;
+}
+
+function toItem(story) {
+  // Older API versions return the submitter as { username }
+  const author = typeof story.submitter_user === "string"
+    ? story.submitter_user
+    : story.submitter_user && story.submitter_user.username;
+
+  return {
+    id: story.short_id,
+    title: story.title,
+    // Text posts link to their discussion
+    url: story.url || story.comments_url || story.short_id_url,
+    createdAt: story.created_at,
+    source: { name: "Lobsters" },
+    tags: story.tags || [],
+    type: "lobsters",
+    score: story.score || 0,
+    comments: story.comment_count || 0,
+    author,
+    discussionUrl: story.comments_url || story.short_id_url,
+  };
+}
+
+export const lobstersProvider = {
+  id: "lobsters",
+  name: "Lobsters",
+
+  // options: { feed } is "hottest" (default) or "newest"
+  async fetch(limit = 20, options = {}) {
+    const feed = options.feed || "hottest";
+    if (!LOBSTERS_FEEDS.includes(feed)) {
+      throw new Error(`Unknown Lobsters feed "${feed}". Use one of: ${LOBSTERS_FEEDS.join(", ")}`);
+    }
+
+    const items = [];
+    for (let page = 1; items.length < limit; page++) {
+      const stories = await fetchJSON(pageUrl(feed, page));
+      if (!Array.isArray(stories)) {
+        throw new Error("Unexpected response from Lobsters");
+      }
+      stories
+        .filter((story) => story && story.short_id && story.title)
+        .forEach((story) => items.push(toItem(story)));
+      if (stories.length === 0) {
+        break;
+      }
+    }
+
+    return items.slice(0, limit);
+  },
+};
@@ -0,0 +1,59 @@
+import { fetchJSON } from "../http.js";
+
+export const DEFAULT_SUBREDDITS = ["programming", "rust", "javascript"];
+
+// Listings return at most 100 posts per request
+const PAGE_SIZE = 100;
+
+function toItem(post) {
+  const discussionUrl = `https://www.reddit.com${post.permalink}`;
+  return {
+    id: post.id,
+    title: post.title,
+    // Self posts have no link of their own
+    url: post.is_self ? discussionUrl : post.url_overridden_by_dest || post.url || discussionUrl,
+    createdAt: new Date(post.created_utc * 1000).toISOString(),
+    source: { name: `r/${post.subreddit}` },
+    tags: [post.subreddit.toLowerCase(), ...(post.link_flair_text ? [post.link_flair_text.toLowerCase()] : [])],
+    type: "reddit",
+    score: post.score || 0,
+    comments: post.num_comments || 0,
+    author: post.author,
+    discussionUrl,
+  };
+}
+
+export const redditProvider = {
+  id: "reddit",
+  name: "Reddit",
+
+  // Hot posts of all subreddits mixed in one listing, e.g. r/rust+javascript.
+  // options: { subreddits }
+  async fetch(limit = 20, options = {}) {
+    const subreddits = options.subreddits || DEFAULT_SUBREDDITS;
+    const items = [];
+    let after = null;
+
+    while (items.length < limit) {
+      const params = new URLSearchParams({ limit: String(Math.min(PAGE_SIZE, limit)), raw_json: "1" });
+      if (after) params.set("after", after);
+      const listing = await fetchJSON(`https://www.reddit.com/r/${subreddits.join("+")}/hot.json?${params}`);
+      if (!listing || !listing.data || !Array.isArray(listing.data.children)) {
+        throw new Error("Unexpected response from Reddit");
+      }
+
+      // Pinned announcements and NSFW posts are left out
+      listing.data.children
+        .map((child) => child && child.data)
+        .filter((post) => post && post.title && post.permalink && !post.stickied && !post.over_18)
+        .forEach((post) => items.push(toItem(post)));
+
+      after = listing.data.after;
+      if (!after || listing.data.children.length === 0) {
+        break;
+      }
+    }
+
+    return items.slice(0, limit);
+  },
+};
@@ -0,0 +1,132 @@
+import { fetchText } from "../http.js";
+import { XMLParser } from "fast-xml-parser";
+import { loadFeeds } from "../feeds.js";
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: "@_",
+  htmlEntities: true,
+});
+
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Elements may come back as plain strings or as { "#text": ..., "@_attr": ... }
+function text(value) {
+  if (value === undefined || value === null) return "";
+  if (typeof value === "object") return text(value["#text"]);
+  return String(value).trim();
+}
+
+function toISODate(value) {
+  const date = new Date(text(value));
+  return isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+}
+
+// Atom entries carry several <link>s; prefer the alternate (HTML) one
+function atomLink(links) {
+  const candidates = asArray(links);
+  const alternate = candidates.find(
+    (link) => typeof link === "object" && (!link["@_rel"] || link["@_rel"] === "alternate")
+  );
+  const chosen = alternate || candidates[0];
+  return typeof chosen === "object" ? chosen["@_href"] || text(chosen) : text(chosen);
+}
+
+function parseRssItems(items) {
+  return asArray(items).map((item) => ({
+    guid: text(item.guid),
+    title: text(item.title),
+    url: text(item.link),
+    date: item.pubDate || item["dc:date"],
+    categories: asArray(item.category).map(text),
+  }));
+}
+
+function parseAtomEntries(entries) {
+  return asArray(entries).map((entry) => ({
+    guid: text(entry.id),
+    title: text(entry.title),
+    url: atomLink(entry.link),
+    date: entry.published || entry.updated,
+    categories: asArray(entry.category).map((category) =>
+      typeof category === "object" ? category["@_term"] || text(category) : text(category)
+    ),
+  }));
+}
+
+// Parse an RSS 2.0, RSS 1.0 (RDF) or Atom document into { title, entries }
+export function parseFeed(xml) {
+  const document = parser.parse(xml);
+
+  if (document.rss && document.rss.channel) {
+    const channel = document.rss.channel;
+    return { title: text(channel.title), entries: parseRssItems(channel.item) };
+  }
+
+  if (document["rdf:RDF"]) {
+    const rdf = document["rdf:RDF"];
+    return { title: text(rdf.channel && rdf.channel.title), entries: parseRssItems(rdf.item) };
+  }
+
+  if (document.feed) {
+    return { title: text(document.feed.title), entries: parseAtomEntries(document.feed.entry) };
+  }
+
+  throw new Error("Not an RSS or Atom feed");
+}
+
+async function fetchFeed(feed) {
+  const { title, entries } = parseFeed(await fetchText(feed.url));
+  const sourceName = feed.name || title || new URL(feed.url).hostname;
+
+  return entries
+    .filter((entry) => entry.title && entry.url)
+    .map((entry) => ({
+      id: `${feed.url}#${entry.guid || entry.url}`,
+      title: entry.title,
+      url: entry.url,
+      createdAt: toISODate(entry.date),
+      source: { name: sourceName },
+      tags: entry.categories.filter(Boolean),
+      type: "feed",
+    }));
+}
+
+export const rssProvider = {
+  id: "rss",
+  name: "RSS feeds",
+
+  // Without feeds there is nothing to fetch, or to miss in the cache
+  isEnabled(options = {}) {
+    return (options.feeds || loadFeeds()).length > 0;
+  },
+
+  async fetch(limit = 20, options = {}) {
+    const feeds = options.feeds || loadFeeds();
+    if (feeds.length === 0) {
+      return [];
+    }
+
+    const results = await Promise.allSettled(feeds.map(fetchFeed));
+    const failed = results.filter((result) => result.status === "rejected");
+    if (failed.length === results.length) {
+      throw failed[0].reason;
+    }
+    // The other feeds still count, but the broken ones should be visible
+    results.forEach((result, index) => {
+      if (result.status === "rejected" && options.reportError) {
+        options.reportError(new Error(`${feeds[index].name || feeds[index].url}: ${result.reason.message}`));
+      }
+    });
+
+    // Newest posts first across all feeds
+    return results
+      .filter((result) => result.status === "fulfilled")
+      .flatMap((result) => result.value)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(0, limit);
+  },
+};
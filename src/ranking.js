@@ -0,0 +1,82 @@
+import { listProviders } from './providers/index.js';
+
+// Sort modes in the order the dashboard cycles through them
+export const SORT_MODES = ['size', 'newest', 'score', 'comments', 'hot', 'source'];
+
+export const SORT_LABELS = {
+  size: 'topic size',
+  newest: 'newest',
+  score: 'points',
+  comments: 'comments',
+  hot: 'hotness',
+  source: 'source priority'
+};
+
+const HOUR = 60 * 60 * 1000;
+
+// Items without a usable date sort as the oldest
+function timestamp(item) {
+  const time = new Date(item.createdAt).getTime();
+  return isNaN(time) ? 0 : time;
+}
+
+// Hacker News style gravity: points and comments, decayed by age in hours.
+// The +1 lets sources without points still rank by freshness.
+function hotness(item, now) {
+  if (!timestamp(item)) return 0;
+  const hours = Math.max(0, (now - timestamp(item)) / HOUR);
+  return ((item.score || 0) + (item.comments || 0) + 1) / Math.pow(hours + 2, 1.8);
+}
+
+// Source ids first as listed in sourcePriority, then in registration order
+function sourceRanks(sourcePriority) {
+  const ids = [...new Set([...sourcePriority, ...listProviders().map((provider) => provider.id)])];
+  return (item) => {
+    const rank = ids.indexOf(item.provider);
+    return rank === -1 ? ids.length : rank;
+  };
+}
+
+// Higher values first. A topic takes the value of its best item, except for
+// hotness where a topic many sources talk about is hotter than each story.
+function strategyFor(mode, { sourcePriority = [], now = Date.now() }) {
+  switch (mode) {
+    case 'newest':
+      return { value: timestamp };
+    case 'score':
+      return { value: (item) => item.score || 0 };
+    case 'comments':
+      return { value: (item) => item.comments || 0 };
+    case 'hot':
+      return { value: (item) => hotness(item, now), sum: true };
+    case 'source': {
+      const rank = sourceRanks(sourcePriority);
+      return { value: (item) => -rank(item) };
+    }
+    default:
+      throw new Error(`Unknown sort "${mode}". Use one of: ${SORT_MODES.join(', ')}`);
+  }
+}
+
+// Sort topics and the items inside them. "size" is the clustering order:
+// biggest topics first with items as fetched. Ties keep the incoming order.
+// options: { sourcePriority, now }
+export function sortClusters(clusters, mode = 'size', options = {}) {
+  if (mode === 'size') {
+    return [...clusters].sort((a, b) => b.items.length - a.items.length);
+  }
+
+  const strategy = strategyFor(mode, options);
+  return clusters
+    .map((cluster) => {
+      const values = new Map(cluster.items.map((item) => [item, strategy.value(item)]));
+      const items = [...cluster.items].sort((a, b) => values.get(b) - values.get(a));
+      const scores = [...values.values()];
+      const value = strategy.sum
+        ? scores.reduce((sum, score) => sum + score, 0)
+        : Math.max(...scores);
+      return { cluster: { ...cluster, items }, value };
+    })
+    .sort((a, b) => b.value - a.value || b.cluster.items.length - a.cluster.items.length)
+    .map((ranked) => ranked.cluster);
+}
@@ -0,0 +1,152 @@
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import open from 'open';
+import { showBanner, showInfo, showSuccess, showError } from './ui-utils.js';
+import {
+  loadBookmarks,
+  removeBookmark,
+  tagBookmark,
+  exportBookmarks
+} from './bookmarks.js';
+
+const FILE_EXTENSIONS = { markdown: 'md', json: 'json', html: 'html' };
+
+function bookmarkLabel(bookmark) {
+  const details = [bookmark.source, ...bookmark.tags.map((tag) => `#${tag}`)].filter(Boolean);
+  return `${bookmark.title} ${chalk.dim(details.join(' '))}`;
+}
+
+// Write the shown bookmarks to a file, asking for the format and location
+async function exportFlow(bookmarks) {
+  const { format } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'format',
+      message: 'Export format:',
+      choices: [
+        { name: 'Markdown', value: 'markdown' },
+        { name: 'JSON', value: 'json' },
+        { name: 'Browser bookmarks (Netscape HTML)', value: 'html' }
+      ]
+    }
+  ]);
+  const { file } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'file',
+      message: 'Save to:',
+      default: `techscope-reading-list.${FILE_EXTENSIONS[format]}`
+    }
+  ]);
+
+  const target = path.resolve(file);
+  fs.writeFileSync(target, exportBookmarks(bookmarks, format));
+  showSuccess(`Exported ${bookmarks.length} bookmarks to ${target}`);
+}
+
+// Actions for one bookmark; returns once the user is done with it
+async function bookmarkActions(bookmark) {
+  const { action } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'action',
+      message: bookmark.title,
+      choices: [
+        { name: 'Open', value: 'open' },
+        ...(bookmark.discussionUrl ? [{ name: 'Open discussion', value: 'discussion' }] : []),
+        { name: 'Edit tags', value: 'tags' },
+        { name: 'Remove', value: 'remove' },
+        { name: 'Back', value: 'back' }
+      ]
+    }
+  ]);
+
+  switch (action) {
+    case 'open':
+      await open(bookmark.url);
+      break;
+    case 'discussion':
+      await open(bookmark.discussionUrl);
+      break;
+    case 'tags': {
+      const { tags } = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'tags',
+          message: 'Tags (space or comma separated):',
+          default: bookmark.tags.join(' ')
+        }
+      ]);
+      tagBookmark(bookmark.key, [tags]);
+      break;
+    }
+    case 'remove':
+      removeBookmark(bookmark.key);
+      break;
+    default:
+      break;
+  }
+}
+
+// Browse the reading list until the user goes back to the main menu
+export async function runReadingList() {
+  let tag = null;
+
+  while (true) {
+    showBanner();
+    const bookmarks = loadBookmarks();
+    const shown = tag ? bookmarks.filter((bookmark) => bookmark.tags.includes(tag)) : bookmarks;
+
+    if (bookmarks.length === 0) {
+      showInfo('Your reading list is empty. Press b on an item in the dashboard to save it.\n');
+    } else if (tag) {
+      showInfo(`Showing ${shown.length} of ${bookmarks.length} bookmarks tagged #${tag}\n`);
+    }
+
+    const allTags = [...new Set(bookmarks.flatMap((bookmark) => bookmark.tags))].sort();
+    const { selection } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'selection',
+        message: 'Reading list:',
+        pageSize: 15,
+        choices: [
+          ...shown.map((bookmark) => ({ name: bookmarkLabel(bookmark), value: bookmark.key })),
+          ...(shown.length > 0 ? [new inquirer.Separator()] : []),
+          ...(allTags.length > 0 ? [{ name: tag ? 'Show all' : 'Filter by tag', value: 'filter' }] : []),
+          ...(shown.length > 0 ? [{ name: 'Export', value: 'export' }] : []),
+          { name: 'Back', value: 'back' }
+        ]
+      }
+    ]);
+
+    if (selection === 'back') {
+      return;
+    }
+
+    try {
+      if (selection === 'filter') {
+        if (tag) {
+          tag = null;
+        } else {
+          ({ tag } = await inquirer.prompt([
+            { type: 'list', name: 'tag', message: 'Tag:', choices: allTags }
+          ]));
+        }
+      } else if (selection === 'export') {
+        await exportFlow(shown);
+        await new Promise((resolve) => setTimeout(resolve, 2000));
+      } else {
+        await bookmarkActions(shown.find((bookmark) => bookmark.key === selection));
+      }
+    } catch (error) {
+      if (error.message && (error.message.includes('force closed') || error.message.includes('SIGINT'))) {
+        throw error;
+      }
+      showError(error.message);
+      await new Promise((resolve) => setTimeout(resolve, 2000));
+    }
+  }
+}
@@ -0,0 +1,42 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Per-user directories following the XDG base directory spec
+export function getConfigDir() {
+  const base = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(base, 'techscope');
+}
+
+export function getDataDir() {
+  const base = process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share');
+  return path.join(base, 'techscope');
+}
+
+export function getCacheDir() {
+  const base = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+  return path.join(base, 'techscope');
+}
+
+// Read a JSON file, returning the fallback when it does not exist yet
+export function readJSON(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    if (error instanceof SyntaxError) {
+      throw new Error(`${file} is not valid JSON: ${error.message}`);
+    }
+    throw error;
+  }
+}
+
+// Write through a temporary file so an interrupted write never leaves half a file
+export function writeJSON(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tempFile = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(data, null, 2) + '\n');
+  fs.renameSync(tempFile, file);
+}
@@ -1,5 +1,7 @@
 #!/usr/bin/env node
 
+import fs from 'fs';
+import path from 'path';
 import { Command } from 'commander';
 import { 
   showBanner, 
@@ -8,13 +10,78 @@ import {
   showError,
   animatedLoading,
   configureSettings,
+  showInfo,
+  showWarning,
+  setTheme,
+  setColorEnabled,
+  isInteractive,
   showGoodbye
 } from './ui-utils.js';
 import { startUnifiedTechScope } from './unified-cli.js';
+import { listProviders, parseSourceList, collectTags } from './providers/index.js';
+import { HN_FEED_NAMES } from './providers/hackernews.js';
+import { loadFeeds, addFeed, removeFeed } from './feeds.js';
+import { compileFilter } from './filter.js';
+import { loadHistory, clearHistory } from './history.js';
+import {
+  loadBookmarks,
+  removeBookmark,
+  tagBookmark,
+  exportBookmarks,
+  formatFromPath,
+  EXPORT_FORMATS
+} from './bookmarks.js';
+import { runReadingList } from './reading-list.js';
+import {
+  loadWatchConfig,
+  addRule,
+  removeRule,
+  addSink,
+  removeSink,
+  describeSink,
+  pollOnce,
+  SINK_TYPES,
+  WEBHOOK_TEMPLATES
+} from './watch.js';
+import { OUTPUT_FORMATS } from './output.js';
+import { SORT_MODES } from './ranking.js';
+import { formatRelativeTime, parseDuration, MAX_TIMER_DELAY } from './time-utils.js';
+import { buildDigest, renderDigest, recordDigestItems, DIGEST_FORMATS } from './digest.js';
+import {
+  loadConfig,
+  saveConfig,
+  getConfigPath,
+  getConfigValue,
+  setConfigValue,
+  resolveSettings,
+  readConfig
+} from './config.js';
 
-// Main application entry point
-async function main() {
-  let userSettings = { limit: 20 };
+// Load the config file and apply command line overrides on top
+function loadSettings(options = {}) {
+  const { config, problems } = readConfig();
+  problems.forEach((problem) => console.error(`${getConfigPath()}: ${problem}`));
+  const settings = resolveSettings(config, options);
+  setTheme(settings.theme);
+  return settings;
+}
+
+// Report command errors as a message instead of a stack trace
+function withErrors(action) {
+  return async (...args) => {
+    try {
+      await action(...args);
+    } catch (error) {
+      showError(error.message);
+      process.exitCode = 1;
+    }
+  };
+}
+
+// Main application entry point. cliOptions are the parsed command line flags,
+// applied again on top of the config whenever the Settings menu changes it.
+async function main(settings, cliOptions = {}) {
+  let userSettings = settings;
   
   try {
     while (true) {
@@ -23,15 +90,25 @@ async function main() {
       switch (selection) {
         case 'techscope':
           await animatedLoading('Loading tech content...');
-          await startUnifiedTechScope(userSettings);
+          if (await startUnifiedTechScope(userSettings) === 'quit') {
+            process.exit(0);
+          }
           break;
           
-        case 'settings':
-          userSettings = await configureSettings();
-          showSuccess(`Settings saved! Limit: ${userSettings.limit} items per section`);
+        case 'bookmarks':
+          await runReadingList();
+          break;
+
+        case 'settings': {
+          const config = await configureSettings(loadConfig(), listProviders());
+          saveConfig(config);
+          setTheme(config.theme);
+          userSettings = resolveSettings(config, cliOptions);
+          showSuccess(`Settings saved to ${getConfigPath()}`);
           // Wait a moment to show the success message
           await new Promise(resolve => setTimeout(resolve, 2500));
           break;
+        }
           
         case 'exit':
           showGoodbye();
@@ -61,19 +138,394 @@ program
   .name('techscope')
   .description('Terminal-based tech content discovery platform')
   .version('2.0.0')
+  // Root options only before a subcommand, so subcommands can reuse letters like -f
+  .enablePositionalOptions()
   .option('-t, --techscope', 'Launch directly to unified TechScope view')
-  .option('-l, --limit <number>', 'Number of items to fetch', '20')
+  .option('-l, --limit <number>', 'Number of items to fetch (default: from config, 20)')
+  .option('-f, --filter <query>', 'Filter content, e.g. "react OR vue", "rust -game", "domain:github.com"')
+  .option('--sources <ids>', 'Only use these sources (comma separated)', parseSourceList)
+  .option('--exclude <ids>', 'Skip these sources (comma separated)', parseSourceList)
+  .option('--offline', 'Show cached content only, without going to the network')
+  .option('--hn-feed <feed>', `Hacker News feed: ${HN_FEED_NAMES.join(', ')} (default: from config, top)`)
+  .option('--min-score <points>', 'Skip Hacker News stories with fewer points')
+  .option('--tag <tag>', 'Read this daily.dev tag feed instead of the popular one (repeatable)', collectTags)
+  .option('--language <language>', 'Only GitHub repositories in this language (repeatable)', collectTags)
+  .option('--topic <topic>', 'Only GitHub repositories with this topic (repeatable)', collectTags)
+  .option('--subreddit <name>', 'Read this subreddit instead of the configured ones (repeatable)', collectTags)
+  .option('--sort <mode>', `Order topics and items by ${SORT_MODES.join(', ')} (default: from config, size)`)
+  .option('--format <format>', `Print topics as ${OUTPUT_FORMATS.join(', ')} and exit instead of opening the dashboard`)
+  .option('--auto-refresh <interval>', 'Refresh the dashboard in the background every interval, e.g. 5m')
+  .option('--no-color', 'Disable colors (NO_COLOR is honored too)')
   .action(async (options) => {
+    setColorEnabled(options.color);
+    let settings;
+    try {
+      settings = loadSettings(options);
+      compileFilter(settings.filter);
+    } catch (error) {
+      showError(error.message);
+      process.exit(1);
+    }
+
+    // Scripted output, or no terminal to show the menu on: print a listing
+    if (settings.format || !isInteractive()) {
+      await startUnifiedTechScope(settings);
+      return;
+    }
+
     // Direct launch option
     if (options.techscope) {
       showBanner();
       await animatedLoading('Loading tech content...');
-      await startUnifiedTechScope({ limit: parseInt(options.limit) });
+      await startUnifiedTechScope(settings);
       return;
     }
     
     // Default interactive mode
-    await main();
+    await main(settings, options);
+  });
+
+// Feed management
+const feeds = program
+  .command('feeds')
+  .description('Manage the RSS/Atom feeds used by the rss source');
+
+feeds
+  .command('add <url>')
+  .description('Follow a feed')
+  .option('-n, --name <name>', 'Display name instead of the feed title')
+  .action(withErrors((url, options) => {
+    const feed = addFeed(url, options.name);
+    showSuccess(`Following ${feed.url}`);
+  }));
+
+feeds
+  .command('remove <url|number>')
+  .description('Stop following a feed')
+  .action(withErrors((target) => {
+    const feed = removeFeed(target);
+    showSuccess(`Removed ${feed.url}`);
+  }));
+
+feeds
+  .command('list')
+  .description('List followed feeds')
+  .action(() => {
+    const list = loadFeeds();
+    if (list.length === 0) {
+      showInfo('No feeds yet. Add one with: techscope feeds add <url>');
+      return;
+    }
+    list.forEach((feed, index) => {
+      console.log(`${index + 1}. ${feed.name ? `${feed.name} - ` : ''}${feed.url}`);
+    });
+  });
+
+// Reading history
+program
+  .command('history')
+  .description('List the items you opened, newest first')
+  .option('-n, --number <count>', 'How many items to list', '20')
+  .option('--clear', 'Forget opened and seen items')
+  .action(withErrors((options) => {
+    if (options.clear) {
+      clearHistory();
+      showSuccess('History cleared');
+      return;
+    }
+
+    const count = parseInt(options.number);
+    if (!(count > 0)) {
+      throw new Error('--number must be a positive whole number');
+    }
+
+    const { opened } = loadHistory();
+    if (opened.length === 0) {
+      showInfo('Nothing opened yet.');
+      return;
+    }
+    opened.slice(0, count).forEach((entry) => {
+      console.log(`${formatRelativeTime(entry.openedAt).padEnd(10)} ${entry.title}${entry.source ? ` (${entry.source})` : ''}`);
+      console.log(`${' '.repeat(11)}${entry.url}`);
+    });
+  }));
+
+// Reading list
+const bookmarks = program
+  .command('bookmarks')
+  .description('Manage the reading list (press b in the dashboard to save items)');
+
+bookmarks
+  .command('list')
+  .description('List saved items')
+  .option('--tag <tag>', 'Only items with this tag')
+  .action((options) => {
+    const list = loadBookmarks();
+    if (list.length === 0) {
+      showInfo('Your reading list is empty. Press b on an item in the dashboard to save it.');
+      return;
+    }
+    // Numbers refer to the full list so that remove/tag keep working when filtered
+    list.forEach((bookmark, index) => {
+      if (options.tag && !bookmark.tags.includes(options.tag.toLowerCase())) return;
+      const tags = bookmark.tags.map((tag) => ` #${tag}`).join('');
+      console.log(`${index + 1}. ${bookmark.title}${tags}`);
+      console.log(`   ${bookmark.url}`);
+    });
+  });
+
+bookmarks
+  .command('remove <url|number>')
+  .description('Remove a saved item')
+  .action(withErrors((target) => {
+    const bookmark = removeBookmark(target);
+    showSuccess(`Removed ${bookmark.title}`);
+  }));
+
+bookmarks
+  .command('tag <url|number> [tags...]')
+  .description('Set the tags of a saved item (no tags clears them)')
+  .action(withErrors((target, tags) => {
+    const bookmark = tagBookmark(target, tags);
+    showSuccess(`${bookmark.title}: ${bookmark.tags.map((tag) => `#${tag}`).join(' ') || 'no tags'}`);
+  }));
+
+bookmarks
+  .command('export')
+  .description('Export the reading list as Markdown, JSON or Netscape bookmark HTML')
+  .option('-f, --format <format>', `One of: ${EXPORT_FORMATS.join(', ')} (default: from the file name, else markdown)`)
+  .option('-o, --output <file>', 'Write to a file instead of printing')
+  .option('--tag <tag>', 'Only items with this tag')
+  .action(withErrors((options) => {
+    const format = options.format || (options.output && formatFromPath(options.output)) || 'markdown';
+    const list = loadBookmarks()
+      .filter((bookmark) => !options.tag || bookmark.tags.includes(options.tag.toLowerCase()));
+    const output = exportBookmarks(list, format);
+
+    if (options.output) {
+      fs.writeFileSync(options.output, output);
+      showSuccess(`Exported ${list.length} bookmarks to ${options.output}`);
+    } else {
+      process.stdout.write(output);
+    }
+  }));
+
+// Digest of the top topics, e.g. for a morning email or a cron job
+program
+  .command('digest')
+  .description('Write an HTML or Markdown digest of the top topics')
+  .option('-o, --output <file>', 'File to write, - for stdout (default: techscope-digest-<date>.html)')
+  .option('--format <format>', `${DIGEST_FORMATS.join(' or ')} (default: from the file name, else html)`)
+  .option('--since <duration>', 'Only items newer than this, e.g. 12h, 2d, 1w')
+  .option('--topics <number>', 'Most topics to include', '20')
+  .option('--no-dedupe', 'Include items that were in earlier digests')
+  .option('-l, --limit <number>', 'Number of items to fetch per source (default: from config, 20)')
+  .option('-f, --filter <query>', 'Only items matching this filter')
+  .option('--sources <ids>', 'Only use these sources (comma separated)', parseSourceList)
+  .option('--exclude <ids>', 'Skip these sources (comma separated)', parseSourceList)
+  .option('--offline', 'Use cached content only')
+  .option('--hn-feed <feed>', `Hacker News feed: ${HN_FEED_NAMES.join(', ')}`)
+  .option('--min-score <points>', 'Skip Hacker News stories with fewer points')
+  .option('--tag <tag>', 'Read this daily.dev tag feed instead of the popular one (repeatable)', collectTags)
+  .option('--language <language>', 'Only GitHub repositories in this language (repeatable)', collectTags)
+  .option('--topic <topic>', 'Only GitHub repositories with this topic (repeatable)', collectTags)
+  .option('--subreddit <name>', 'Read this subreddit instead of the configured ones (repeatable)', collectTags)
+  .action(withErrors(async (options) => {
+    const settings = loadSettings(options);
+    const since = options.since ? parseDuration(options.since) : null;
+    const topics = parseInt(options.topics);
+    if (!(topics > 0)) {
+      throw new Error('--topics must be a positive whole number');
+    }
+
+    const extension = options.output ? path.extname(options.output).toLowerCase() : '';
+    const format = options.format
+      || (['.md', '.markdown'].includes(extension) ? 'markdown' : 'html');
+    if (!DIGEST_FORMATS.includes(format)) {
+      throw new Error(`Unknown digest format "${format}". Use one of: ${DIGEST_FORMATS.join(', ')}`);
+    }
+
+    const digest = await buildDigest(settings, { since, dedupe: options.dedupe, topics });
+    // Warnings on stderr so that `-o -` output stays clean
+    digest.errors.forEach((error) => console.error(`${error.name} unavailable: ${error.message}`));
+
+    if (digest.items.length === 0) {
+      if (digest.errors.length > 0 && digest.skipped === 0) {
+        throw new Error('Nothing could be fetched for the digest');
+      }
+      showInfo(digest.skipped > 0 ? 'Nothing new since the last digest.' : 'Nothing to put in a digest.');
+      return;
+    }
+
+    const output = renderDigest(digest, format);
+    if (options.output === '-') {
+      process.stdout.write(output);
+    } else {
+      const file = options.output
+        || `techscope-digest-${digest.generatedAt.slice(0, 10)}.${format === 'markdown' ? 'md' : 'html'}`;
+      fs.writeFileSync(file, output);
+      showSuccess(`Wrote ${digest.clusters.length} topics with ${digest.items.length} items to ${file}`);
+    }
+    recordDigestItems(digest.items);
+  }));
+
+// Keyword alerts
+const watch = program
+  .command('watch')
+  .description('Keep polling the sources and alert on new items matching your rules')
+  .option('-i, --interval <duration>', 'Time between polls, e.g. 5m or 1h', '15m')
+  .option('--once', 'Poll once and exit, e.g. from cron')
+  .option('--catch-up', 'Also send what already matches on the first poll')
+  .option('-l, --limit <number>', 'Number of items to fetch per source (default: from config, 20)')
+  .option('--sources <ids>', 'Only use these sources (comma separated)', parseSourceList)
+  .option('--exclude <ids>', 'Skip these sources (comma separated)', parseSourceList)
+  .option('--hn-feed <feed>', `Hacker News feed: ${HN_FEED_NAMES.join(', ')}`)
+  .option('--min-score <points>', 'Skip Hacker News stories with fewer points')
+  .option('--tag <tag>', 'Read this daily.dev tag feed instead of the popular one (repeatable)', collectTags)
+  .option('--language <language>', 'Only GitHub repositories in this language (repeatable)', collectTags)
+  .option('--topic <topic>', 'Only GitHub repositories with this topic (repeatable)', collectTags)
+  .option('--subreddit <name>', 'Read this subreddit instead of the configured ones (repeatable)', collectTags)
+  .action(withErrors(async (options) => {
+    const settings = loadSettings(options);
+    const interval = parseDuration(options.interval);
+    if (interval < 60 * 1000) {
+      throw new Error('--interval must be at least 1m');
+    }
+    if (interval > MAX_TIMER_DELAY) {
+      throw new Error('--interval must be at most 24d');
+    }
+
+    const { rules, sinks } = loadWatchConfig();
+    if (rules.length === 0) {
+      throw new Error('No rules yet. Add one with: techscope watch rules add <name> <query>');
+    }
+    if (sinks.length === 0) {
+      showInfo('No sinks configured, matches are only printed here. Add one with: techscope watch sinks add');
+    }
+    if (!options.once) {
+      showInfo(`Watching ${rules.length} rules, polling every ${options.interval}. Press Ctrl+C to stop.`);
+    }
+
+    while (true) {
+      const time = new Date().toLocaleTimeString();
+      try {
+        // Rules and sinks are re-read so they can be changed while watching
+        const { matches, skipped, errors } = await pollOnce(settings, loadWatchConfig(), { catchUp: options.catchUp });
+        if (skipped > 0) {
+          showInfo(`${time} ${skipped} items already match your rules; only new ones will be sent (--catch-up sends these too)`);
+        }
+        matches.forEach(({ item, rules: matched }) => {
+          console.log(`${time} [${matched.join(', ')}] ${item.title}`);
+          console.log(`${' '.repeat(time.length + 1)}${item.url}`);
+        });
+        errors.forEach((error) => showWarning(`${time} ${error}`));
+      } catch (error) {
+        if (options.once) throw error;
+        showWarning(`${time} ${error.message}`);
+      }
+
+      if (options.once) return;
+      await new Promise((resolve) => setTimeout(resolve, interval));
+    }
+  }));
+
+const watchRules = watch
+  .command('rules')
+  .description('Manage the rules new items are matched against');
+
+watchRules
+  .command('add <name> <query>')
+  .description('Alert on items matching a filter query, e.g. "rust OR tag:rust"')
+  .action(withErrors((name, query) => {
+    const rule = addRule(name, query);
+    showSuccess(`Watching for ${rule.name}: ${rule.query}`);
+  }));
+
+watchRules
+  .command('remove <name|number>')
+  .description('Delete a rule')
+  .action(withErrors((target) => {
+    const rule = removeRule(target);
+    showSuccess(`Removed rule ${rule.name}`);
+  }));
+
+watchRules
+  .command('list')
+  .description('List rules')
+  .action(withErrors(() => {
+    const { rules } = loadWatchConfig();
+    if (rules.length === 0) {
+      showInfo('No rules yet. Add one with: techscope watch rules add <name> <query>');
+      return;
+    }
+    rules.forEach((rule, index) => console.log(`${index + 1}. ${rule.name}: ${rule.query}`));
+  }));
+
+const watchSinks = watch
+  .command('sinks')
+  .description('Manage where alerts are sent');
+
+watchSinks
+  .command('add <type> <target> [args...]')
+  .description(`Add a sink: ${SINK_TYPES.join(', ')}. Examples:
+  watch sinks add command notify-send "TechScope: {rules}" "{title}"
+  watch sinks add webhook https://hooks.slack.com/services/... --template slack
+  watch sinks add file ~/techscope-alerts.ndjson`)
+  .option('--template <template>', `Webhook payload: ${WEBHOOK_TEMPLATES.join(', ')}`, 'json')
+  .action(withErrors((type, target, args, options) => {
+    const sink = type === 'command' ? { type, command: target, args }
+      : type === 'webhook' ? { type, url: target, template: options.template }
+        : { type, path: target };
+    showSuccess(`Added ${describeSink(addSink(sink))}`);
+  }));
+
+watchSinks
+  .command('remove <number>')
+  .description('Delete a sink')
+  .action(withErrors((index) => {
+    showSuccess(`Removed ${describeSink(removeSink(index))}`);
+  }));
+
+watchSinks
+  .command('list')
+  .description('List sinks')
+  .action(withErrors(() => {
+    const { sinks } = loadWatchConfig();
+    if (sinks.length === 0) {
+      showInfo('No sinks yet, matches are only printed by techscope watch.');
+      return;
+    }
+    sinks.forEach((sink, index) => console.log(`${index + 1}. ${describeSink(sink)}`));
+  }));
+
+// Settings file management
+const configCommand = program
+  .command('config')
+  .description('Read and change settings stored in the config file');
+
+configCommand
+  .command('get [key]')
+  .description('Print one setting (e.g. limit, keyBindings.open) or all of them')
+  .action(withErrors((key) => {
+    const config = loadConfig();
+    const value = key ? getConfigValue(config, key) : config;
+    console.log(typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value));
+  }));
+
+configCommand
+  .command('set <key> <value>')
+  .description('Change a setting (lists are comma separated)')
+  .action(withErrors((key, value) => {
+    const config = setConfigValue(loadConfig(), key, value);
+    saveConfig(config);
+    showSuccess(`${key} = ${JSON.stringify(getConfigValue(config, key))}`);
+  }));
+
+configCommand
+  .command('path')
+  .description('Print the location of the config file')
+  .action(() => {
+    console.log(getConfigPath());
   });
 
 // Handle graceful shutdown
@@ -96,7 +548,10 @@ process.on('uncaughtException', (error) => {
     showGoodbye();
     process.exit(0);
   } else {
-    console.error('Unexpected error occurred');
+    console.error(`Unexpected error: ${error.message}`);
+    if (process.env.DEBUG) {
+      console.error(error.stack);
+    }
     process.exit(1);
   }
 });
@@ -0,0 +1,33 @@
+// Color themes: banner gradient, accent (highlights), success and info text
+export const THEMES = {
+  default: {
+    gradient: ['#ffc8c8ff', '#ff7b7bff', '#fc3838ff'],
+    accent: '#ff9999', // pastel red
+    success: '#ff6666', // darker red
+    info: '#ffcccc', // light pastel red
+    spinner: 'red'
+  },
+  ocean: {
+    gradient: ['#c8e6ffff', '#7bb8ffff', '#3887fcff'],
+    accent: '#99ccff',
+    success: '#66b2ff',
+    info: '#cce5ff',
+    spinner: 'blue'
+  },
+  forest: {
+    gradient: ['#d4f5d4ff', '#7bd67bff', '#2fa84fff'],
+    accent: '#99e699',
+    success: '#66cc66',
+    info: '#ccf2cc',
+    spinner: 'green'
+  },
+  mono: {
+    gradient: ['#ffffffff', '#bbbbbbff', '#888888ff'],
+    accent: '#ffffff',
+    success: '#dddddd',
+    info: '#bbbbbb',
+    spinner: 'white'
+  }
+};
+
+export const THEME_NAMES = Object.keys(THEMES);
@@ -0,0 +1,48 @@
+// "just now", "5m ago", "3h ago", "2d ago", falling back to a date after a month
+export function formatRelativeTime(date, now = Date.now()) {
+  const timestamp = new Date(date).getTime();
+  if (isNaN(timestamp)) {
+    return '';
+  }
+
+  const seconds = Math.max(0, Math.round((now - timestamp) / 1000));
+  if (seconds < 60) return 'just now';
+
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ago`;
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+
+  const days = Math.floor(hours / 24);
+  if (days < 30) return `${days}d ago`;
+
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+// setTimeout fires at once for anything longer (2^31 - 1 ms, about 24.8 days)
+export const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+const DURATION_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+// "30m", "12h", "2d", "1w" (or combinations like "1d12h") to milliseconds
+export function parseDuration(text) {
+  const value = String(text).trim().toLowerCase();
+  if (!/^(\d+(\.\d+)?[mhdw])+$/.test(value)) {
+    throw new Error(`Invalid duration "${text}". Use a number with m, h, d or w, e.g. 12h or 2d`);
+  }
+
+  let total = 0;
+  for (const [, amount, , unit] of value.matchAll(/(\d+(\.\d+)?)([mhdw])/g)) {
+    total += parseFloat(amount) * DURATION_UNITS[unit];
+  }
+  if (total <= 0) {
+    throw new Error(`Duration "${text}" must be longer than zero`);
+  }
+  return total;
+}
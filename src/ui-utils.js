@@ -3,9 +3,46 @@ import figlet from 'figlet';
 import gradient from 'gradient-string';
 import inquirer from 'inquirer';
 import ora from 'ora';
+import { THEMES, THEME_NAMES } from './themes.js';
+import { DEFAULT_CONFIG, validateConfigValue } from './config.js';
+import { HN_FEED_NAMES } from './providers/hackernews.js';
+import { LOBSTERS_FEEDS } from './providers/lobsters.js';
+import { SORT_MODES, SORT_LABELS } from './ranking.js';
+import { parseTags } from './bookmarks.js';
 
-// Create gradient theme
-const techGradient = gradient(['#ffc8c8ff', '#ff7b7bff', '#fc3838ff']);
+// NO_COLOR (https://no-color.org) turns colors off; chalk already honors --no-color
+if (process.env.NO_COLOR) {
+  chalk.level = 0;
+}
+
+export function setColorEnabled(enabled) {
+  if (!enabled) {
+    chalk.level = 0;
+  }
+}
+
+// The dashboards need a keyboard and a screen; pipes, redirects and CI get listings
+export function isInteractive() {
+  return Boolean(process.stdin.isTTY && process.stdout.isTTY);
+}
+
+let activeTheme = THEMES.default;
+let techGradient = gradient(activeTheme.gradient);
+
+export function setTheme(name) {
+  if (!THEMES[name]) {
+    throw new Error(`Unknown theme "${name}". Available themes: ${THEME_NAMES.join(', ')}`);
+  }
+  activeTheme = THEMES[name];
+  techGradient = gradient(activeTheme.gradient);
+}
+
+// Highlight text in the theme's accent color
+export function accent(text) {
+  return chalk.hex(activeTheme.accent)(text);
+}
+
+const DEFAULT_KEY_BINDINGS = DEFAULT_CONFIG.keyBindings;
 
 // ASCII Art Generator
 export function createLogo(text = 'TECHSCOPE') {
@@ -26,8 +63,11 @@ export function createLogo(text = 'TECHSCOPE') {
   }
 }
 
-// Enhanced header with branding
+// Enhanced header with branding, left out when output goes to a file or pipe
 export function showBanner() {
+  if (!process.stdout.isTTY) {
+    return;
+  }
   console.clear();
   console.log('\n');
   console.log(createLogo());
@@ -37,9 +77,9 @@ export function showBanner() {
 // Loading spinner with style
 export function createSpinner(text = 'Loading...') {
   return ora({
-    text: chalk.hex('#ff9999')(text), // pastel red
+    text: accent(text),
     spinner: 'dots12',
-    color: 'red'
+    color: activeTheme.spinner
   });
 }
 
@@ -52,6 +92,10 @@ export async function projectSelector() {
       name: 'Start',
       value: 'techscope'
     },
+    {
+      name: 'Reading list',
+      value: 'bookmarks'
+    },
     {
       name: 'Settings',
       value: 'settings'
@@ -81,17 +125,26 @@ export function displayTopics(clusters, selectedIndex = 0) {
   
   clusters.forEach((cluster, index) => {
     const isSelected = index === selectedIndex;
-    const prefix = isSelected ? chalk.hex('#ff9999')('▶ ') : '  '; // pastel red
+    const prefix = isSelected ? accent('▶ ') : '  ';
     const textColor = isSelected ? chalk.white.bold : chalk.gray;
-    const articleCount = chalk.dim(`(${cluster.articles.length})`);
+    const articleCount = chalk.dim(`(${cluster.items.length})`);
     
     console.log(`${prefix}${textColor(cluster.headline)} ${articleCount}`);
   });
 }
 
-// Enhanced article display
-export function displayArticles(articles, title) {
-  console.log(`\n${chalk.bold('Articles in')} ${chalk.hex('#ff9999')(`"${title}"`)}`); // pastel red
+// One numbered line of a topic's item list; the numbers 1-9 double as shortcuts
+// and items already opened are dimmed
+export function formatItemLine(index, isSelected, label, title, isRead = false) {
+  const cursor = isSelected ? accent('▶ ') : '  ';
+  const number = index < 9 ? String(index + 1) : ' ';
+  const textColor = isSelected ? chalk.white.bold : (isRead ? chalk.dim : chalk.gray);
+  return `${cursor}${chalk.dim(number)} ${chalk.dim(label)} ${textColor(title)}`;
+}
+
+// Enhanced article display; selectedItem is -1 while the cursor is on the topics
+export function displayArticles(articles, title, selectedItem = -1) {
+  console.log(`\n${chalk.bold('Articles in')} ${accent(`"${title}"`)}`);
   
   articles.forEach((article, index) => {
     const isRepo = article.url && (
@@ -103,13 +156,13 @@ export function displayArticles(articles, title) {
       ? article.title.slice(0, 77) + '...'
       : article.title;
     
-    console.log(`  ${chalk.dim(prefix)} ${chalk.gray(truncatedTitle)}`);
+    console.log(formatItemLine(index, index === selectedItem, prefix, truncatedTitle));
   });
 }
 
 // Enhanced apps/tools display
-export function displayApps(apps, title) {
-  console.log(`\n${chalk.bold('Apps in')} ${chalk.hex('#ff9999')(`"${title}"`)}`); // pastel red
+export function displayApps(apps, title, selectedItem = -1) {
+  console.log(`\n${chalk.bold('Apps in')} ${accent(`"${title}"`)}`);
   
   apps.forEach((app, index) => {
     const isRepo = app.url && (
@@ -121,18 +174,70 @@ export function displayApps(apps, title) {
       ? app.title.slice(0, 77) + '...'
       : app.title;
     
-    console.log(`  ${chalk.dim(prefix)} ${chalk.gray(truncatedTitle)}`);
+    console.log(formatItemLine(index, index === selectedItem, prefix, truncatedTitle));
   });
 }
 
-// Enhanced controls display
-export function displayControls() {
-  console.log(`\n${chalk.dim('↑↓')} Navigate  ${chalk.dim('o')} Open  ${chalk.dim('r')} Refresh  ${chalk.dim('?')} Help  ${chalk.dim('m')} Menu  ${chalk.dim('q')} Quit`);
+// Word-wrap text to a width, keeping existing line breaks and indentation
+export function wrapText(text, width) {
+  const lines = [];
+
+  for (const paragraph of text.split('\n')) {
+    const indent = paragraph.match(/^\s*/)[0];
+    const available = Math.max(width - indent.length, 10);
+    let line = '';
+
+    for (let word of paragraph.trim().split(/\s+/)) {
+      if (line && line.length + 1 + word.length > available) {
+        lines.push(indent + line);
+        line = '';
+      }
+      // Hard-break words (usually URLs) longer than a whole line
+      while (word.length > available) {
+        if (line) {
+          lines.push(indent + line);
+          line = '';
+        }
+        lines.push(indent + word.slice(0, available));
+        word = word.slice(available);
+      }
+      line = line ? `${line} ${word}` : word;
+    }
+
+    lines.push(line ? indent + line : '');
+  }
+
+  return lines;
+}
+
+// Enhanced controls display; extras are [key, label] pairs for view-specific actions
+export function displayControls(keys = DEFAULT_KEY_BINDINGS, extras = []) {
+  const controls = [
+    ['↑↓', 'Navigate'],
+    ['←→', 'Topics/Items'],
+    [keys.open, 'Open'],
+    [keys.preview, 'Preview'],
+    [keys.refresh, 'Refresh'],
+    ...extras,
+    [keys.help, 'Help'],
+    [keys.menu, 'Menu'],
+    [keys.quit, 'Quit']
+  ];
+  console.log(`\n${controls.map(([key, label]) => `${chalk.dim(key)} ${label}`).join('  ')}`);
+}
+
+// Highlight every case-insensitive occurrence of query in text
+export function highlightMatch(text, query) {
+  if (!query) {
+    return text;
+  }
+  const escaped = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return text.replace(new RegExp(escaped, 'gi'), (match) => chalk.bgHex(activeTheme.accent).black(match));
 }
 
 // Success message
 export function showSuccess(message) {
-  console.log(chalk.hex('#ff6666').bold(`${message}`)); // darker red for success
+  console.log(chalk.hex(activeTheme.success).bold(`${message}`));
 }
 
 // Error message
@@ -142,28 +247,33 @@ export function showError(message) {
 
 // Info message
 export function showInfo(message) {
-  console.log(chalk.hex('#ffcccc').bold(`${message}`)); // light pastel red for info
+  console.log(chalk.hex(activeTheme.info).bold(`${message}`));
 }
 
 // Found/count message in pastel red
 export function showFound(message) {
-  console.log(chalk.hex('#ff9999').bold(`${message}`)); // pastel red
+  console.log(chalk.hex(activeTheme.accent).bold(`${message}`));
 }
 
 // Warning message
 export function showWarning(message) {
-  console.log(chalk.hex('#ff9999').bold(`${message}`)); // pastel red
+  console.log(chalk.hex(activeTheme.accent).bold(`${message}`));
 }
 
 // Help display
-export function displayHelp() {
+export function displayHelp(keys = DEFAULT_KEY_BINDINGS, extras = []) {
   console.log(chalk.bold('\nHelp'));
-  console.log('↑/↓     Navigate through topics');
-  console.log('o       Open selected article');
-  console.log('r       Refresh content');
-  console.log('m       Return to main menu');
-  console.log('?       Toggle this help');
-  console.log('q       Quit TechScope');
+  console.log('↑/↓     Navigate through topics or items');
+  console.log('Enter/→ Show the items of a topic');
+  console.log('←       Back to topics');
+  console.log(`${keys.open.padEnd(8)}Open selected article`);
+  console.log(`${keys.preview.padEnd(8)}Read the selected article here (also Enter on an item)`);
+  console.log('1-9     Open the nth item of the topic');
+  console.log(`${keys.refresh.padEnd(8)}Refresh content`);
+  extras.forEach(([key, description]) => console.log(`${key.padEnd(8)}${description}`));
+  console.log(`${keys.menu.padEnd(8)}Return to main menu`);
+  console.log(`${keys.help.padEnd(8)}Toggle this help`);
+  console.log(`${keys.quit.padEnd(8)}Quit TechScope`);
 }
 
 // Animated loading message
@@ -173,31 +283,176 @@ export async function animatedLoading(message, duration = 2000) {
   
   await new Promise(resolve => setTimeout(resolve, duration));
   
-  spinner.succeed(chalk.hex('#ff6666')('Done!')); // darker red for success
+  spinner.succeed(chalk.hex(activeTheme.success)('Done!'));
 }
 
-// Configure settings
-export async function configureSettings() {
+// Configure settings, starting from the current values
+export async function configureSettings(current = DEFAULT_CONFIG, providers = []) {
   showBanner();
+
+  // Keys picked so far, so two actions cannot get the same key in one go
+  const chosenKeys = { ...current.keyBindings };
   
-  const settings = await inquirer.prompt([
+  const answers = await inquirer.prompt([
     {
       type: 'input',
       name: 'limit',
       message: 'How many items to fetch per section?',
-      default: '20',
-      validate: (input) => {
-        const num = parseInt(input);
-        if (isNaN(num) || num < 1 || num > 50) {
-          return 'Please enter a number between 1 and 50';
-        }
-        return true;
+      default: String(current.limit),
+      validate: (input) => validateConfigValue('limit', Number(input))
+    },
+    {
+      type: 'checkbox',
+      name: 'sources',
+      message: 'Which sources should be enabled?',
+      choices: providers.map((provider) => ({
+        name: provider.name,
+        value: provider.id,
+        checked: current.sources.length === 0 || current.sources.includes(provider.id)
+      })),
+      when: () => providers.length > 0,
+      validate: (selected) => selected.length > 0 || 'Enable at least one source'
+    },
+    {
+      type: 'list',
+      name: 'hnFeed',
+      message: 'Hacker News feed:',
+      choices: HN_FEED_NAMES,
+      default: current.hnFeed
+    },
+    {
+      type: 'input',
+      name: 'minScore',
+      message: 'Skip Hacker News stories with fewer points than (0 keeps all):',
+      default: String(current.minScore),
+      validate: (input) => validateConfigValue('minScore', Number(input))
+    },
+    {
+      type: 'input',
+      name: 'dailyDevTags',
+      message: 'daily.dev tags to follow (empty for the popular feed):',
+      default: current.dailyDevTags.join(' '),
+      validate: (input) => validateConfigValue('dailyDevTags', parseTags(input))
+    },
+    {
+      type: 'input',
+      name: 'githubLanguages',
+      message: 'GitHub repository languages (empty for all):',
+      default: current.githubLanguages.join(' '),
+      validate: (input) => validateConfigValue('githubLanguages', parseTags(input))
+    },
+    {
+      type: 'input',
+      name: 'githubTopics',
+      message: 'GitHub repository topics (empty for all):',
+      default: current.githubTopics.join(' '),
+      validate: (input) => validateConfigValue('githubTopics', parseTags(input))
+    },
+    {
+      type: 'input',
+      name: 'subreddits',
+      message: 'Subreddits to read:',
+      default: current.subreddits.join(' '),
+      validate: (input) => validateConfigValue('subreddits', parseTags(input))
+    },
+    {
+      type: 'list',
+      name: 'lobstersFeed',
+      message: 'Lobsters feed:',
+      choices: LOBSTERS_FEEDS,
+      default: current.lobstersFeed
+    },
+    {
+      type: 'input',
+      name: 'filter',
+      message: 'Default filter (leave empty for none):',
+      default: current.filter,
+      validate: (input) => validateConfigValue('filter', input)
+    },
+    {
+      type: 'input',
+      name: 'similarityThreshold',
+      message: 'How similar must titles be to share a topic (0-1)?',
+      default: String(current.similarityThreshold),
+      validate: (input) => validateConfigValue('similarityThreshold', Number(input))
+    },
+    {
+      type: 'list',
+      name: 'sort',
+      message: 'Sort topics and items by:',
+      choices: SORT_MODES.map((mode) => ({ name: SORT_LABELS[mode], value: mode })),
+      default: current.sort
+    },
+    {
+      type: 'list',
+      name: 'theme',
+      message: 'Color theme:',
+      choices: THEME_NAMES,
+      default: current.theme
+    },
+    {
+      type: 'input',
+      name: 'cacheTtl',
+      message: 'Minutes to reuse fetched content before fetching again (0 always fetches):',
+      default: String(current.cacheTtl),
+      validate: (input) => validateConfigValue('cacheTtl', Number(input))
+    },
+    {
+      type: 'confirm',
+      name: 'staleWhileRevalidate',
+      message: 'Show cached content at once and update it in the background?',
+      default: current.staleWhileRevalidate
+    },
+    {
+      type: 'confirm',
+      name: 'mergeDuplicates',
+      message: 'Show a story posted to several sources only once?',
+      default: current.mergeDuplicates
+    },
+    {
+      type: 'confirm',
+      name: 'customizeKeys',
+      message: 'Customize dashboard key bindings?',
+      default: false
+    },
+    ...Object.entries(current.keyBindings).map(([action, key]) => ({
+      type: 'input',
+      name: `keyBindings.${action}`,
+      message: `Key for "${action}":`,
+      default: key,
+      when: (previous) => previous.customizeKeys,
+      validate: (input) => validateConfigValue(`keyBindings.${action}`, input, { keyBindings: chosenKeys }),
+      filter: (input) => {
+        chosenKeys[action] = input;
+        return input;
       }
-    }
+    }))
   ]);
 
-  // Convert limit to number
-  settings.limit = parseInt(settings.limit);
+  const settings = structuredClone(current);
+  settings.limit = parseInt(answers.limit);
+  settings.filter = answers.filter.trim();
+  settings.hnFeed = answers.hnFeed;
+  settings.minScore = parseInt(answers.minScore);
+  settings.dailyDevTags = parseTags(answers.dailyDevTags);
+  settings.githubLanguages = parseTags(answers.githubLanguages);
+  settings.githubTopics = parseTags(answers.githubTopics);
+  settings.subreddits = parseTags(answers.subreddits);
+  settings.lobstersFeed = answers.lobstersFeed;
+  settings.similarityThreshold = Number(answers.similarityThreshold);
+  settings.sort = answers.sort;
+  settings.theme = answers.theme;
+  settings.cacheTtl = parseInt(answers.cacheTtl);
+  settings.staleWhileRevalidate = answers.staleWhileRevalidate;
+  settings.mergeDuplicates = answers.mergeDuplicates;
+
+  // An empty list means every source, so new sources are picked up automatically
+  if (answers.sources) {
+    settings.sources = answers.sources.length === providers.length ? [] : answers.sources;
+  }
+  if (answers.keyBindings) {
+    settings.keyBindings = { ...settings.keyBindings, ...answers.keyBindings };
+  }
   
   return settings;
 }
@@ -212,9 +467,9 @@ export function showGoodbye() {
       font: 'Standard',
       horizontalLayout: 'fitted'
     });
-    console.log(chalk.hex('#ff9999')(byeAscii)); // pastel red
+    console.log(accent(byeAscii));
   } catch (error) {
-    console.log(chalk.hex('#ff9999').bold('BYE!')); // pastel red
+    console.log(chalk.hex(activeTheme.accent).bold('BYE!'));
   }
   
   console.log(chalk.dim('\n   Thanks for using TechScope'));
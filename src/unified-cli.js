@@ -1,7 +1,6 @@
 #!/usr/bin/env node
 
 import { Command } from "commander";
-import fetch from "node-fetch";
 import open from "open";
 import chalk from "chalk";
 import { 
@@ -11,168 +10,222 @@ import {
   showSuccess, 
   showError,
   showInfo,
+  formatItemLine,
   showFound,
   createSpinner,
+  showWarning,
+  setTheme,
+  setColorEnabled,
+  accent,
+  highlightMatch,
+  isInteractive,
   showGoodbye
 } from './ui-utils.js';
+import { fetchFromProviders, providerOptionsFor, parseSourceList, collectTags } from "./providers/index.js";
+import { HN_FEED_NAMES } from "./providers/hackernews.js";
+import { DEFAULT_CONFIG, loadConfig, resolveSettings } from "./config.js";
+import { compileFilter } from "./filter.js";
+import { clusterItems, mergeClusters } from "./clustering.js";
+import { runCommentsViewer } from "./comments.js";
+import { runPreview } from "./preview.js";
+import { formatRelativeTime, parseDuration, MAX_TIMER_DELAY } from "./time-utils.js";
+import { loadHistory, markSeen, recordOpened, itemKeys } from "./history.js";
+import { loadBookmarks, toggleBookmark, bookmarkedKeys } from "./bookmarks.js";
+import { formatClusters, OUTPUT_FORMATS } from "./output.js";
+import { sortClusters, SORT_MODES, SORT_LABELS } from "./ranking.js";
+import { dedupeItems } from "./dedupe.js";
+
+// Labels shown before each item in the detail panel
+const TYPE_LABELS = {
+  news: '[link]',
+  app: '[tool]',
+  feed: '[post]',
+  repo: '[repo]',
+  reddit: '[reddit]',
+  lobsters: '[lobsters]'
+};
+
+// "1.2k stars · Rust" after repositories from the github source
+function repoDetails(item) {
+  if (item.type !== 'repo') return '';
+  const stars = item.stars >= 1000 ? `${(item.stars / 1000).toFixed(1).replace(/\.0$/, '')}k` : String(item.stars || 0);
+  const details = [`${stars} stars`, item.language].filter(Boolean).join(' · ');
+  return ` ${chalk.dim(details)}`;
+}
 
-// Import clustering functions from both CLIs
-async function fetchNewsArticles(limit = 20) {
-  try {
-    const topStoriesResponse = await fetch(
-      "https://hacker-news.firebaseio.com/v0/topstories.json"
-    );
-    const storyIds = await topStoriesResponse.json();
-
-    if (!storyIds || storyIds.length === 0) {
-      throw new Error("No stories available");
-    }
+// Fetch and mix content from every enabled source, keeping what matches the
+// filter. cacheOptions ({ offline, maxAge }) decide when the cache is used.
+async function loadUnifiedContent(options = {}, cacheOptions = {}) {
+  const matchesFilter = compileFilter(options.filter);
+  const { items, errors, cachedAt } = await fetchFromProviders(parseInt(options.limit || 20), {
+    sources: options.sources,
+    exclude: options.exclude,
+    offline: options.offline,
+    providerOptions: providerOptionsFor(options),
+    ...cacheOptions
+  });
+  const unique = options.mergeDuplicates === false
+    ? items
+    : await dedupeItems(items, { offline: options.offline || cacheOptions.offline });
 
-    const shuffled = storyIds.sort(() => 0.5 - Math.random());
-    const selectedIds = shuffled.slice(0, limit);
-
-    const stories = await Promise.all(
-      selectedIds.map(async (id) => {
-        try {
-          const storyResponse = await fetch(
-            `https://hacker-news.firebaseio.com/v0/item/${id}.json`
-          );
-          return await storyResponse.json();
-        } catch (err) {
-          return null;
-        }
-      })
-    );
-
-    return stories
-      .filter((story) => story && story.title && story.url)
-      .map((story) => ({
-        id: story.id.toString(),
-        title: story.title,
-        url: story.url || `https://news.ycombinator.com/item?id=${story.id}`,
-        createdAt: new Date(story.time * 1000).toISOString(),
-        source: { name: "Tech News" },
-        tags: [],
-        type: 'news'
-      }));
-  } catch (error) {
-    console.error("Error fetching news:", error.message);
-    return [];
-  }
+  return { items: unique.filter(matchesFilter), fetchedCount: items.length, errors, cachedAt };
 }
 
-async function fetchApps(limit = 20) {
-  try {
-    const response = await fetch("https://daily.dev/api/graphql", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        query: `
-          query {
-            page: sourceFeed(
-              first: ${limit}
-              ranking: POPULARITY
-              supportedTypes: [article]
-            ) {
-              edges {
-                node {
-                  id
-                  title
-                  permalink
-                  createdAt
-                  source {
-                    name
-                  }
-                  tags
-                }
-              }
-            }
-          }
-        `,
-      }),
-    });
+// Auto-refresh interval used by the toggle key when --auto-refresh was not given
+const DEFAULT_AUTO_REFRESH = "5m";
 
-    const data = await response.json();
-    
-    if (!data.data || !data.data.page || !data.data.page.edges) {
-      throw new Error("Invalid response format");
-    }
+// How old cached content may be before going back to the network, in ms
+function cacheMaxAge(options) {
+  return (options.cacheTtl || 0) * 60 * 1000;
+}
 
-    return data.data.page.edges
-      .map((edge) => edge.node)
-      .filter((item) => item && item.title && item.permalink)
-      .map((item) => ({
-        id: item.id,
-        title: item.title,
-        url: item.permalink,
-        createdAt: item.createdAt,
-        source: item.source,
-        tags: item.tags || [],
-        type: 'app'
-      }));
-  } catch (error) {
-    console.error("Error fetching apps:", error.message);
-    return [];
-  }
+function showSourceErrors(errors) {
+  errors.forEach((error) => showWarning(`${error.name} unavailable: ${error.message}`));
 }
 
-// Simple clustering function
-function clusterItems(items) {
-  const clusters = [];
-  const processed = new Set();
+// Narrow clusters to an in-dashboard search. Only the matching items of a
+// cluster are kept, unless just its headline matches.
+function applySearch(clusters, query) {
+  if (!query) {
+    return clusters;
+  }
 
-  for (const item of items) {
-    if (processed.has(item.id)) continue;
+  const needle = query.toLowerCase();
+  const matches = (text) => text.toLowerCase().includes(needle);
 
-    const similar = items.filter((other) => {
-      if (other.id === item.id || processed.has(other.id)) return false;
-      return titleSimilarity(item.title, other.title) > 0.3;
-    });
+  return clusters
+    .map((cluster) => {
+      const items = cluster.items.filter((item) => matches(item.title));
+      if (items.length > 0) {
+        return { ...cluster, items };
+      }
+      return matches(cluster.headline) ? cluster : null;
+    })
+    .filter(Boolean);
+}
 
-    const cluster = {
-      id: clusters.length,
-      headline: extractMainTopic(item.title),
-      items: [item, ...similar],
-      type: item.type
-    };
+// Where the content comes from and how fresh it is, e.g.
+// "Last updated 3m ago · 4 new · auto-refresh every 5m"
+function displayStatus(view) {
+  const parts = [];
+  if (view.cachedAt) {
+    parts.push(`${view.offline ? 'Offline: showing' : 'Showing'} content cached ${formatRelativeTime(view.cachedAt)}`);
+  } else if (view.updatedAt) {
+    parts.push(`Last updated ${formatRelativeTime(view.updatedAt)}`);
+  }
+  if (view.updatedAt && view.newCount > 0) {
+    parts.push(`${view.newCount} new`);
+  }
+  if (view.autoRefresh) {
+    parts.push(`auto-refresh every ${view.autoRefresh}`);
+  }
+  if (view.updating) {
+    parts.push('updating...');
+  }
 
-    clusters.push(cluster);
-    [item, ...similar].forEach((i) => processed.add(i.id));
+  if (parts.length > 0) {
+    const status = parts.join(' · ');
+    showInfo(status.charAt(0).toUpperCase() + status.slice(1));
   }
+}
 
-  return clusters.sort((a, b) => b.items.length - a.items.length);
+// "3 sources" after a story posted to several sources
+function sourcesBadge(item) {
+  return item.sources ? ` ${chalk.dim(`${item.sources.length} sources`)}` : '';
 }
 
-function titleSimilarity(title1, title2) {
-  const words1 = new Set(title1.toLowerCase().split(/\W+/));
-  const words2 = new Set(title2.toLowerCase().split(/\W+/));
-  const intersection = new Set([...words1].filter((x) => words2.has(x)));
-  const union = new Set([...words1, ...words2]);
-  return intersection.size / union.size;
+// Where the selected story was posted, with its points, comments and discussion
+function displaySourceBreakdown(item) {
+  console.log(`\n${chalk.bold('Posted on')}`);
+  const rows = item.sources.map((entry) => [
+    entry.name,
+    [
+      entry.score !== undefined ? `${entry.score} points` : null,
+      entry.comments !== undefined ? `${entry.comments} comments` : null
+    ].filter(Boolean).join(' · '),
+    entry.discussionUrl || entry.url
+  ]);
+  const nameWidth = Math.max(...rows.map(([name]) => name.length));
+  const numbersWidth = Math.max(...rows.map(([, numbers]) => numbers.length));
+  rows.forEach(([name, numbers, link]) => {
+    console.log(`  ${name.padEnd(nameWidth)}  ${numbers.padEnd(numbersWidth)}  ${chalk.dim(link)}`);
+  });
 }
 
-function extractMainTopic(title) {
-  const words = title.split(/\s+/);
-  const significantWords = words.filter(
-    (word) => word.length > 3 && !/^(the|and|for|with|from|this|that|will|have|been|are|was|were|but|not|you|all|can|had|her|his|how|its|may|new|now|old|see|way|who|boy|did|has|she|use|her|one|our|out|day|get|use|man|way|may)$/i.test(word)
-  );
-  
-  return significantWords.slice(0, 3).join(" ") || title.slice(0, 30);
+// The Hacker News copy of an item, which may be one of its merged sources
+function hackerNewsCopy(item) {
+  if (item.provider === 'hackernews') return item;
+  const entry = (item.sources || []).find((source) => source.provider === 'hackernews');
+  return entry ? entry.item : null;
+}
+
+// Any copy of a story counts, whichever source it was seen or opened on
+function hasAnyKey(item, keys) {
+  return itemKeys(item).some((key) => keys.has(key));
+}
+
+// Drop items already opened, and the topics left empty
+function hideReadItems(clusters, readKeys) {
+  return clusters
+    .map((cluster) => ({ ...cluster, items: cluster.items.filter((item) => !hasAnyKey(item, readKeys)) }))
+    .filter((cluster) => cluster.items.length > 0);
+}
+
+// History is a convenience; a failing write must not take the dashboard down
+function rememberSeen(items) {
+  try {
+    markSeen(items);
+  } catch (error) {
+    // Ignored
+  }
 }
 
-function displayUnifiedDashboard(allClusters, selectedIndex = 0, showHelpPanel = false) {
+function displaySearchLine(view, matchCount) {
+  if (view.searching) {
+    console.log(`\n${accent('/')}${view.search}${chalk.dim('_')}  ${chalk.dim('Enter')} Keep  ${chalk.dim('Esc')} Clear`);
+  } else {
+    console.log(`\n${chalk.dim('Search')} ${accent(`"${view.search}"`)} ${chalk.dim(`(${matchCount} topics)`)}  ${chalk.dim('n/N')} Next/Prev  ${chalk.dim('Esc')} Clear`);
+  }
+}
+
+const DASHBOARD_HELP = [
+  ['new', 'Topic has items you had not seen before this visit'],
+  ['/', 'Search titles as you type'],
+  ['n/N', 'Jump to next/previous match'],
+  ['Esc', 'Clear search']
+];
+
+function displayUnifiedDashboard(allClusters, view) {
+  const { selectedIndex, keys } = view;
+
   console.clear();
   showBanner();
 
-  if (showHelpPanel) {
-    displayHelp();
+  if (view.showHelpPanel) {
+    displayHelp(keys, [
+      [keys.comments, 'Read Hacker News comments'],
+      [keys.hideRead, 'Hide/show items you already opened'],
+      [keys.bookmark, 'Save to/remove from the reading list'],
+      [keys.autoRefresh, 'Turn auto-refresh on/off'],
+      [keys.sort, `Change the sort order (${SORT_MODES.join(', ')})`],
+      ...DASHBOARD_HELP
+    ]);
     return;
   }
 
   const totalItems = allClusters.reduce((sum, cluster) => sum + cluster.items.length, 0);
   showFound(`Found ${allClusters.length} topics with ${totalItems} items`);
+  if (view.filter) {
+    showInfo(`Filtered by "${view.filter}"`);
+  }
+  if (view.hideRead) {
+    showInfo('Hiding read items');
+  }
+  if (view.sort !== 'size') {
+    showInfo(`Sorted by ${SORT_LABELS[view.sort]}`);
+  }
+  displayStatus(view);
+  showSourceErrors(view.sourceErrors);
 
   // Display all topics mixed together
   if (allClusters.length > 0) {
@@ -180,110 +233,377 @@ function displayUnifiedDashboard(allClusters, selectedIndex = 0, showHelpPanel =
     
     allClusters.forEach((cluster, index) => {
       const isSelected = index === selectedIndex;
-      const prefix = isSelected ? chalk.hex('#ff9999')('▶ ') : '  ';
+      const prefix = isSelected ? accent('▶ ') : '  ';
       const textColor = isSelected ? chalk.white.bold : chalk.gray;
       const itemCount = chalk.dim(`(${cluster.items.length})`);
+      const hasNew = cluster.items.some((item) => !hasAnyKey(item, view.seenBefore));
+      const badge = hasNew ? ` ${accent('new')}` : '';
       
-      console.log(`${prefix}${textColor(cluster.headline)} ${itemCount}`);
+      console.log(`${prefix}${textColor(highlightMatch(cluster.headline, view.search))} ${itemCount}${badge}`);
     });
 
     // Display selected cluster details
     if (allClusters[selectedIndex]) {
       const cluster = allClusters[selectedIndex];
       
-      console.log(`\n${chalk.bold('Items in')} ${chalk.hex('#ff9999')(`"${cluster.headline}"`)}`);
+      console.log(`\n${chalk.bold('Items in')} ${accent(`"${cluster.headline}"`)}`);
       
       cluster.items.forEach((item, index) => {
         const isRepo = item.url && (
           item.url.includes('github.com') || 
           item.url.includes('gitlab.com')
         );
-        const prefix = isRepo ? '[repo]' : (item.type === 'news' ? '[link]' : '[tool]');
+        const prefix = isRepo ? '[repo]' : (TYPE_LABELS[item.type] || '[link]');
         const truncatedTitle = item.title.length > 80 
           ? item.title.slice(0, 77) + '...'
           : item.title;
         
-        console.log(`  ${chalk.dim(prefix)} ${chalk.gray(truncatedTitle)}`);
+        const isRead = hasAnyKey(item, view.readKeys);
+        const saved = hasAnyKey(item, view.bookmarkKeys) ? ` ${accent('★')}` : '';
+        console.log(formatItemLine(index, index === view.selectedItem, prefix, highlightMatch(truncatedTitle, view.search), isRead) + repoDetails(item) + sourcesBadge(item) + saved);
       });
+
+      const selected = cluster.items[view.selectedItem];
+      if (selected && selected.sources) {
+        displaySourceBreakdown(selected);
+      }
     }
+  } else if (view.search) {
+    showInfo(`\nNo topics match "${view.search}"`);
   }
 
-  // Display controls
-  console.log(`\n${chalk.dim('↑↓')} Navigate  ${chalk.dim('o')} Open  ${chalk.dim('r')} Refresh  ${chalk.dim('?')} Help  ${chalk.dim('m')} Menu  ${chalk.dim('q')} Quit`);
+  // Display search prompt or controls
+  if (view.searching || view.search) {
+    displaySearchLine(view, allClusters.length);
+  }
+  if (!view.searching) {
+    displayControls(keys, [[keys.comments, 'Comments'], [keys.bookmark, 'Save'], ['/', 'Search']]);
+  }
 }
 
-async function runUnifiedDashboard(allClusters) {
-  let selectedIndex = 0;
-  let showHelpPanel = false;
+// content: { errors, cachedAt, revalidation } where revalidation is a pending
+// loadUnifiedContent() whose result replaces the (cached) clusters shown first
+async function runUnifiedDashboard(allClusters, content = {}, options = {}) {
+  const view = {
+    selectedIndex: 0,
+    selectedItem: -1, // -1 while the cursor is on the topics
+    showHelpPanel: false,
+    searching: false,
+    search: '',
+    sourceErrors: content.errors || [],
+    cachedAt: content.cachedAt || null,
+    offline: Boolean(options.offline),
+    updating: false,
+    autoRefresh: options.autoRefresh || null, // interval as typed, e.g. "5m"
+    updatedAt: null, // last refresh from the dashboard, or its start with auto-refresh
+    newCount: 0, // items the last refresh added
+    filter: options.filter,
+    hideRead: false,
+    sort: options.sort || 'size',
+    seenBefore: new Set(), // items shown on earlier visits
+    readKeys: new Set(), // items opened at any time
+    bookmarkKeys: new Set(), // items in the reading list
+    keys: { ...DEFAULT_CONFIG.keyBindings, ...options.keyBindings }
+  };
+  const { keys } = view;
+  const visibleClusters = () => applySearch(
+    sortClusters(
+      view.hideRead ? hideReadItems(allClusters, view.readKeys) : allClusters,
+      view.sort,
+      { sourcePriority: options.sourcePriority }
+    ),
+    view.search
+  );
+
+  // Anything not seen before this visit counts as new until the next one
+  try {
+    const history = loadHistory();
+    view.seenBefore = new Set(Object.keys(history.seen));
+    view.readKeys = new Set(history.opened.map((entry) => entry.key));
+  } catch (error) {
+    // Without history every item is new and none is read
+  }
+  try {
+    view.bookmarkKeys = bookmarkedKeys(loadBookmarks());
+  } catch (error) {
+    // Saving will report the problem if the file stays unreadable
+  }
+  rememberSeen(allClusters.flatMap((cluster) => cluster.items));
+  // Off while a sub-viewer owns the screen and after the dashboard closed, so
+  // late timers and background updates do not draw over them
+  let active = true;
+  const render = () => {
+    if (!active) return;
+    // Hiding read items can shrink the list under the cursor
+    const clusters = visibleClusters();
+    view.selectedIndex = Math.min(view.selectedIndex, Math.max(clusters.length - 1, 0));
+    if (clusters[view.selectedIndex]) {
+      view.selectedItem = Math.min(view.selectedItem, clusters[view.selectedIndex].items.length - 1);
+    }
+    displayUnifiedDashboard(clusters, view);
+  };
+
+  // Apply a change that reorders the topics, keeping the cursor on the same
+  // topic when it survived
+  const keepCursor = (change) => {
+    const current = visibleClusters()[view.selectedIndex];
+    change();
+    const index = current
+      ? visibleClusters().findIndex((cluster) => cluster.headline === current.headline)
+      : -1;
+    if (index === -1) {
+      view.selectedIndex = 0;
+      view.selectedItem = -1;
+    } else {
+      view.selectedIndex = index;
+      view.selectedItem = Math.min(view.selectedItem, visibleClusters()[index].items.length - 1);
+    }
+  };
+  const replaceClusters = (clusters) => keepCursor(() => {
+    allClusters = clusters;
+  });
+
+  // Fetch in the background and merge what is new into the topics on screen
+  const refresh = async () => {
+    if (view.updating) return;
+    view.updating = true;
+    render();
+    try {
+      const { items, errors, cachedAt } = await loadUnifiedContent(options);
+      view.sourceErrors = errors;
+      if (items.length > 0) {
+        rememberSeen(items);
+        const { clusters, added } = mergeClusters(allClusters, items, {
+          threshold: options.similarityThreshold,
+          keys: itemKeys
+        });
+        replaceClusters(clusters);
+        view.newCount = added.length;
+        view.cachedAt = cachedAt;
+        view.updatedAt = Date.now();
+      }
+    } catch (error) {
+      view.sourceErrors = [{ name: 'Refresh', message: error.message }];
+    } finally {
+      view.updating = false;
+      render();
+    }
+  };
+
+  // The next auto-refresh is only scheduled once the previous one finished.
+  // A once-a-minute redraw keeps "updated N min ago" current.
+  let refreshTimer = null;
+  const scheduleRefresh = () => {
+    clearTimeout(refreshTimer);
+    if (view.autoRefresh) {
+      refreshTimer = setTimeout(async () => {
+        await refresh();
+        scheduleRefresh();
+      }, parseDuration(view.autoRefresh));
+    }
+  };
+  const clock = setInterval(() => {
+    if (view.updatedAt && !view.searching) render();
+  }, 60 * 1000);
+  const stopTimers = () => {
+    clearTimeout(refreshTimer);
+    clearInterval(clock);
+  };
+  if (view.autoRefresh) {
+    view.updatedAt = Date.now();
+    scheduleRefresh();
+  }
+
+  if (content.revalidation) {
+    view.updating = true;
+    content.revalidation
+      .then(({ items, errors, cachedAt }) => {
+        view.sourceErrors = errors;
+        if (items.length > 0) {
+          rememberSeen(items);
+          replaceClusters(clusterItems(items, options.similarityThreshold));
+          view.cachedAt = cachedAt;
+        }
+      })
+      .catch(() => {})
+      .finally(() => {
+        view.updating = false;
+        render();
+      });
+  }
+
+  const markRead = (item) => {
+    itemKeys(item).forEach((key) => view.readKeys.add(key));
+    try {
+      recordOpened(item);
+    } catch (error) {
+      // Reading matters more than remembering it
+    }
+  };
 
   const stdin = process.stdin;
   stdin.setRawMode(true);
   stdin.resume();
   stdin.setEncoding("utf8");
 
-  displayUnifiedDashboard(allClusters, selectedIndex, showHelpPanel);
+  render();
 
   return new Promise((resolve) => {
     const handleKeyPress = async (key) => {
       try {
-        if (key === "\u0003" || key === "q") {
+        // While typing a search, printable keys edit the query instead of running actions
+        if (view.searching && key !== "\u0003" && !key.startsWith("\u001B[")) {
+          if (key === "\u001B") {
+            view.searching = false;
+            view.search = '';
+          } else if (key === "\r" || key === "\n") {
+            view.searching = false;
+          } else if (key === "\u007F" || key === "\b") {
+            view.search = view.search.slice(0, -1);
+          } else {
+            view.search += [...key].filter((char) => char >= ' ').join('');
+          }
+          view.selectedIndex = 0;
+          view.selectedItem = -1;
+          render();
+          return;
+        }
+
+        if (key === "\u0003" || key === keys.quit) {
+          active = false;
+          stopTimers();
           stdin.setRawMode(false);
           stdin.removeListener('data', handleKeyPress);
           showGoodbye();
-          resolve();
+          resolve('quit');
           return;
         }
 
-        if (key === "m") {
+        if (key === keys.menu) {
+          active = false;
+          stopTimers();
           stdin.setRawMode(false);
           stdin.removeListener('data', handleKeyPress);
           resolve('menu');
           return;
         }
 
-        if (key === "?") {
-          showHelpPanel = !showHelpPanel;
-          displayUnifiedDashboard(allClusters, selectedIndex, showHelpPanel);
-        } else if (key === "\u001B[A" && selectedIndex > 0) {
-          selectedIndex--;
-          displayUnifiedDashboard(allClusters, selectedIndex, showHelpPanel);
-        } else if (key === "\u001B[B" && selectedIndex < allClusters.length - 1) {
-          selectedIndex++;
-          displayUnifiedDashboard(allClusters, selectedIndex, showHelpPanel);
-        } else if (key === "o" && allClusters[selectedIndex]) {
-          const item = allClusters[selectedIndex].items[0];
+        const clusters = visibleClusters();
+
+        if (key === keys.help) {
+          view.showHelpPanel = !view.showHelpPanel;
+          render();
+        } else if (key === "/") {
+          view.searching = true;
+          view.search = '';
+          view.selectedIndex = 0;
+          view.selectedItem = -1;
+          render();
+        } else if (key === "\u001B" && view.search) {
+          view.search = '';
+          view.selectedIndex = 0;
+          view.selectedItem = -1;
+          render();
+        } else if ((key === "n" || key === "N") && view.search && clusters.length > 0) {
+          // Every visible topic is a match, so jump through them with wrap-around
+          const step = key === "n" ? 1 : -1;
+          view.selectedIndex = (view.selectedIndex + step + clusters.length) % clusters.length;
+          view.selectedItem = -1;
+          render();
+        } else if ((key === "\r" || key === "\u001B[C") && view.selectedItem === -1 && clusters[view.selectedIndex]) {
+          view.selectedItem = 0;
+          render();
+        } else if (key === "\u001B[D" && view.selectedItem !== -1) {
+          view.selectedItem = -1;
+          render();
+        } else if (key === "\u001B[A" && view.selectedItem > 0) {
+          view.selectedItem--;
+          render();
+        } else if (key === "\u001B[B" && view.selectedItem !== -1 && view.selectedItem < clusters[view.selectedIndex].items.length - 1) {
+          view.selectedItem++;
+          render();
+        } else if (key === "\u001B[A" && view.selectedItem === -1 && view.selectedIndex > 0) {
+          view.selectedIndex--;
+          render();
+        } else if (key === "\u001B[B" && view.selectedItem === -1 && view.selectedIndex < clusters.length - 1) {
+          view.selectedIndex++;
+          render();
+        } else if (key === keys.hideRead) {
+          view.hideRead = !view.hideRead;
+          view.selectedIndex = 0;
+          view.selectedItem = -1;
+          render();
+        } else if (key === keys.sort) {
+          // The item under the cursor moves with its new position
+          const item = view.selectedItem >= 0 && clusters[view.selectedIndex]
+            ? clusters[view.selectedIndex].items[view.selectedItem]
+            : null;
+          keepCursor(() => {
+            view.sort = SORT_MODES[(SORT_MODES.indexOf(view.sort) + 1) % SORT_MODES.length];
+          });
+          if (item) {
+            view.selectedItem = visibleClusters()[view.selectedIndex].items.indexOf(item);
+          }
+          render();
+        } else if ((key === keys.preview || key === "\r") && clusters[view.selectedIndex]) {
+          // Enter only gets here on an item; the pager reads the keyboard until the user goes back
+          const item = clusters[view.selectedIndex].items[Math.max(view.selectedItem, 0)];
+          stdin.removeListener('data', handleKeyPress);
+          active = false;
+          await runPreview(item);
+          active = true;
+          markRead(item);
+          stdin.on('data', handleKeyPress);
+          render();
+        } else if ((key === keys.open || /^[1-9]$/.test(key)) && clusters[view.selectedIndex]) {
+          // Open the item under the cursor, or the nth item of the topic for 1-9
+          const index = key === keys.open ? Math.max(view.selectedItem, 0) : parseInt(key) - 1;
+          const item = clusters[view.selectedIndex].items[index];
+          if (!item) return;
           console.log(`\nOpening: ${item.title}`);
           console.log(`${item.url}`);
           await open(item.url);
-          setTimeout(
-            () => displayUnifiedDashboard(allClusters, selectedIndex, showHelpPanel),
-            2000
-          );
-        } else if (key === "r") {
-          console.log('\nRefreshing content...');
+          markRead(item);
+          setTimeout(render, 2000);
+        } else if (key === keys.bookmark && clusters[view.selectedIndex]) {
+          const item = clusters[view.selectedIndex].items[Math.max(view.selectedItem, 0)];
           try {
-            const [newsArticles, apps] = await Promise.all([
-              fetchNewsArticles(20),
-              fetchApps(20)
-            ]);
-            
-            if (newsArticles.length > 0 || apps.length > 0) {
-              // Mix all content together
-              const allItems = [...newsArticles, ...apps];
-              allClusters = clusterItems(allItems);
-              selectedIndex = 0;
-              console.log('✓ Content refreshed!');
+            const saved = toggleBookmark(item);
+            view.bookmarkKeys = bookmarkedKeys(loadBookmarks());
+            if (saved) {
+              console.log(`\n★ Saved to reading list: ${item.title}`);
             } else {
-              console.log('✗ Failed to refresh content');
+              console.log(`\nRemoved from reading list: ${item.title}`);
             }
           } catch (error) {
-            console.log('✗ Failed to refresh content');
+            console.log(`\n✗ Could not update the reading list: ${error.message}`);
+          }
+          setTimeout(render, 1000);
+        } else if (key === keys.comments && clusters[view.selectedIndex]) {
+          const item = hackerNewsCopy(clusters[view.selectedIndex].items[Math.max(view.selectedItem, 0)]);
+          if (!item) {
+            console.log('\nComments are only available for Hacker News items');
+            setTimeout(render, 1500);
+            return;
           }
-          
-          setTimeout(() => displayUnifiedDashboard(allClusters, selectedIndex, showHelpPanel), 1000);
+          // The viewer reads the keyboard until the user goes back
+          stdin.removeListener('data', handleKeyPress);
+          active = false;
+          await runCommentsViewer(item);
+          active = true;
+          stdin.on('data', handleKeyPress);
+          render();
+        } else if (key === keys.refresh) {
+          await refresh();
+          scheduleRefresh(); // the next automatic one counts from now
+        } else if (key === keys.autoRefresh) {
+          view.autoRefresh = view.autoRefresh ? null : (options.autoRefresh || DEFAULT_AUTO_REFRESH);
+          view.updatedAt = view.updatedAt || Date.now();
+          scheduleRefresh();
+          render();
         }
       } catch (error) {
-        displayUnifiedDashboard(allClusters, selectedIndex, showHelpPanel);
+        render();
       }
     };
 
@@ -291,42 +611,113 @@ async function runUnifiedDashboard(allClusters) {
   });
 }
 
+// Fetch, filter and cluster like the dashboard, then print the topics in
+// options.format and return. Warnings go to stderr so stdout stays parseable.
+async function printUnifiedContent(options) {
+  if (!OUTPUT_FORMATS.includes(options.format)) {
+    throw new Error(`Unknown format "${options.format}". Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  compileFilter(options.filter);
+
+  const { items, errors, cachedAt } = await loadUnifiedContent(options, { maxAge: cacheMaxAge(options) });
+  const clusters = sortClusters(
+    clusterItems(items, options.similarityThreshold),
+    options.sort,
+    { sourcePriority: options.sourcePriority }
+  );
+
+  errors.forEach((error) => console.error(`${error.name} unavailable: ${error.message}`));
+  process.stdout.write(formatClusters(clusters, options.format, { filter: options.filter, cachedAt, errors }));
+  if (items.length === 0 && errors.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
 export async function startUnifiedTechScope(options = {}) {
+  // Without a terminal there is no dashboard; print a listing instead
+  if (!options.format && !isInteractive()) {
+    options = { ...options, format: "text" };
+  }
+
+  if (options.format) {
+    try {
+      await printUnifiedContent(options);
+    } catch (error) {
+      console.error(error.message);
+      process.exitCode = 1;
+    }
+    return 'quit';
+  }
+
+  // Reject a malformed filter or interval before going to the network.
+  // Refreshing more than once a minute would only hammer the sources.
+  try {
+    compileFilter(options.filter);
+    const autoRefresh = options.autoRefresh ? parseDuration(options.autoRefresh) : null;
+    if (autoRefresh !== null && autoRefresh < 60 * 1000) {
+      throw new Error("--auto-refresh must be at least 1m");
+    }
+    if (autoRefresh !== null && autoRefresh > MAX_TIMER_DELAY) {
+      throw new Error("--auto-refresh must be at most 24d");
+    }
+  } catch (error) {
+    showError(error.message);
+    return;
+  }
+
   const spinner = createSpinner("Loading content...");
   spinner.start();
 
   try {
-    const [newsArticles, apps] = await Promise.all([
-      fetchNewsArticles(parseInt(options.limit || 20)),
-      fetchApps(parseInt(options.limit || 20))
-    ]);
+    // Offline only reads the cache. Otherwise cached content younger than
+    // cacheTtl is reused, and with staleWhileRevalidate any cached content is
+    // shown at once while fresh content loads in the background.
+    const maxAge = cacheMaxAge(options);
+    const cached = options.offline || options.staleWhileRevalidate
+      ? await loadUnifiedContent(options, { offline: true })
+      : null;
+
+    let content;
+    let revalidation = null;
+    if (options.offline) {
+      content = cached;
+    } else if (cached && cached.items.length > 0) {
+      // Sources missing from the cache are not errors yet; the update decides
+      content = { ...cached, errors: [] };
+      revalidation = loadUnifiedContent(options, { maxAge });
+    } else {
+      content = await loadUnifiedContent(options, { maxAge });
+    }
+    const { items, fetchedCount, errors, cachedAt } = content;
 
-    if (newsArticles.length === 0 && apps.length === 0) {
+    if (items.length === 0) {
       spinner.fail();
-      showError("No content found. Please check your connection and try again.");
+      showSourceErrors(errors);
+      if (fetchedCount > 0) {
+        showError(`No content found matching "${options.filter}".`);
+      } else if (options.offline) {
+        showError("Nothing cached yet. Run techscope once while online.");
+      } else {
+        showError("No content found. Please check your connection and try again.");
+      }
       return;
     }
 
     spinner.stop();
     
-    // Mix all content together
-    const allItems = [...newsArticles, ...apps];
-    const allClusters = clusterItems(allItems);
-
-    setTimeout(async () => {
-      try {
-        const result = await runUnifiedDashboard(allClusters);
-        if (result === 'menu') {
-          return;
-        }
-      } catch (error) {
-        // Handle user interruption gracefully
-        if (error.message && (error.message.includes('force closed') || error.message.includes('SIGINT'))) {
-          return; // Just return to menu, don't show error
-        }
-        throw error; // Re-throw other errors
+    const allClusters = clusterItems(items, options.similarityThreshold);
+
+    // Wait for the dashboard so the caller does not redraw the menu underneath it
+    await new Promise((resolve) => setTimeout(resolve, 500));
+    try {
+      return await runUnifiedDashboard(allClusters, { errors, cachedAt, revalidation }, options);
+    } catch (error) {
+      // Handle user interruption gracefully
+      if (error.message && (error.message.includes('force closed') || error.message.includes('SIGINT'))) {
+        return 'menu'; // Just return to menu, don't show error
       }
-    }, 500);
+      throw error; // Re-throw other errors
+    }
 
   } catch (error) {
     spinner.fail();
@@ -343,10 +734,32 @@ program
   .name("techscope-unified")
   .description("Unified tech content discovery platform")
   .version("2.0.0")
-  .option("-f, --filter <keyword>", 'Filter content by keyword')
-  .option("-l, --limit <number>", "Number of items to fetch per section", "20")
+  .option("-f, --filter <query>", 'Filter content, e.g. "react OR vue", "rust -game", "domain:github.com"')
+  .option("-l, --limit <number>", "Number of items to fetch per section (default: from config, 20)")
+  .option("--sources <ids>", "Only use these sources (comma separated)", parseSourceList)
+  .option("--exclude <ids>", "Skip these sources (comma separated)", parseSourceList)
+  .option("--offline", "Show cached content only, without going to the network")
+  .option("--hn-feed <feed>", `Hacker News feed: ${HN_FEED_NAMES.join(", ")} (default: from config, top)`)
+  .option("--min-score <points>", "Skip Hacker News stories with fewer points")
+  .option("--tag <tag>", "Read this daily.dev tag feed instead of the popular one (repeatable)", collectTags)
+  .option("--language <language>", "Only GitHub repositories in this language (repeatable)", collectTags)
+  .option("--topic <topic>", "Only GitHub repositories with this topic (repeatable)", collectTags)
+  .option("--subreddit <name>", "Read this subreddit instead of the configured ones (repeatable)", collectTags)
+  .option("--sort <mode>", `Order topics and items by ${SORT_MODES.join(", ")} (default: from config, size)`)
+  .option("--format <format>", `Print topics as ${OUTPUT_FORMATS.join(", ")} and exit instead of opening the dashboard`)
+  .option("--auto-refresh <interval>", "Refresh in the background every interval, e.g. 5m")
+  .option("--no-color", "Disable colors (NO_COLOR is honored too)")
   .action(async (options) => {
-    await startUnifiedTechScope(options);
+    setColorEnabled(options.color);
+    let settings;
+    try {
+      settings = resolveSettings(loadConfig(), options);
+    } catch (error) {
+      showError(error.message);
+      process.exit(1);
+    }
+    setTheme(settings.theme);
+    await startUnifiedTechScope(settings);
   });
 
 if (import.meta.url === `file://${process.argv[1]}`) {
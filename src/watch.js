@@ -0,0 +1,291 @@
+import fs from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+import { getConfigDir, getDataDir, readJSON, writeJSON } from './storage.js';
+import { fetchFromProviders, providerOptionsFor } from './providers/index.js';
+import { compileFilter } from './filter.js';
+import { itemKeys } from './history.js';
+import { serializeItem } from './output.js';
+import { send } from './http.js';
+import { dedupeItems } from './dedupe.js';
+
+export const SINK_TYPES = ['command', 'webhook', 'file'];
+export const WEBHOOK_TEMPLATES = ['json', 'slack', 'discord'];
+
+// Alerted items are remembered for 30 days
+const ALERTED_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+const WEBHOOK_TIMEOUT = 10 * 1000;
+const COMMAND_TIMEOUT = 30 * 1000;
+
+// Rules and sinks: { rules: [{ name, query }], sinks: [{ type, ... }] }
+export function getWatchPath() {
+  return path.join(getConfigDir(), 'watch.json');
+}
+
+export function getAlertedPath() {
+  return path.join(getDataDir(), 'alerted.json');
+}
+
+export function loadWatchConfig() {
+  const config = readJSON(getWatchPath(), {});
+  return {
+    rules: config && Array.isArray(config.rules) ? config.rules : [],
+    sinks: config && Array.isArray(config.sinks) ? config.sinks : []
+  };
+}
+
+function saveWatchConfig(config) {
+  writeJSON(getWatchPath(), config);
+}
+
+// Rules use the --filter syntax, e.g. "rust OR tag:rust"
+export function addRule(name, query) {
+  compileFilter(query);
+  const config = loadWatchConfig();
+  if (config.rules.some((rule) => rule.name === name)) {
+    throw new Error(`A rule named "${name}" already exists`);
+  }
+  config.rules.push({ name, query });
+  saveWatchConfig(config);
+  return { name, query };
+}
+
+// Remove by the 1-based position shown in the list, or by rule name
+export function removeRule(nameOrIndex) {
+  const config = loadWatchConfig();
+  const index = /^\d+$/.test(nameOrIndex)
+    ? parseInt(nameOrIndex) - 1
+    : config.rules.findIndex((rule) => rule.name === nameOrIndex);
+  if (index < 0 || index >= config.rules.length) {
+    throw new Error(`No rule matches "${nameOrIndex}"`);
+  }
+  const [removed] = config.rules.splice(index, 1);
+  saveWatchConfig(config);
+  return removed;
+}
+
+// command: { type, command, args } - run without a shell, see runCommand
+// webhook: { type, url, template } - POST, see webhookPayload
+// file:    { type, path } - one JSON line per alert
+export function addSink(sink) {
+  if (sink.type === 'webhook') {
+    let parsed;
+    try {
+      parsed = new URL(sink.url);
+    } catch (error) {
+      throw new Error(`"${sink.url}" is not a valid URL`);
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      throw new Error(`Webhook URLs must use http or https, got "${parsed.protocol}"`);
+    }
+    if (!WEBHOOK_TEMPLATES.includes(sink.template)) {
+      throw new Error(`Unknown template "${sink.template}". Use one of: ${WEBHOOK_TEMPLATES.join(', ')}`);
+    }
+  } else if (sink.type === 'file') {
+    sink = { ...sink, path: path.resolve(sink.path) };
+  } else if (sink.type !== 'command') {
+    throw new Error(`Unknown sink type "${sink.type}". Use one of: ${SINK_TYPES.join(', ')}`);
+  }
+
+  const config = loadWatchConfig();
+  config.sinks.push(sink);
+  saveWatchConfig(config);
+  return sink;
+}
+
+export function removeSink(index) {
+  const config = loadWatchConfig();
+  const position = parseInt(index) - 1;
+  if (!/^\d+$/.test(String(index)) || position < 0 || position >= config.sinks.length) {
+    throw new Error(`No sink matches "${index}"`);
+  }
+  const [removed] = config.sinks.splice(position, 1);
+  saveWatchConfig(config);
+  return removed;
+}
+
+export function describeSink(sink) {
+  switch (sink.type) {
+    case 'command':
+      return `command: ${[sink.command, ...(sink.args || [])].join(' ')}`;
+    case 'webhook':
+      return `webhook (${sink.template}): ${sink.url}`;
+    case 'file':
+      return `file: ${sink.path}`;
+    default:
+      return sink.type;
+  }
+}
+
+// { [itemKey]: alertedAt } with the key of every copy of an alerted story,
+// dropping entries older than ALERTED_MAX_AGE
+function loadAlerted(now = Date.now()) {
+  const alerted = readJSON(getAlertedPath(), {});
+  const kept = {};
+  for (const [key, alertedAt] of Object.entries(alerted || {})) {
+    if (now - new Date(alertedAt).getTime() < ALERTED_MAX_AGE) {
+      kept[key] = alertedAt;
+    }
+  }
+  return kept;
+}
+
+// Items not alerted on before that match at least one rule:
+// [{ item, rules: [rule names] }]
+export function matchRules(items, rules, alerted) {
+  const compiled = rules.map((rule) => ({ name: rule.name, matches: compileFilter(rule.query) }));
+  const seen = new Set();
+
+  return items
+    .filter((item) => {
+      // A story is known by any of its copies, whichever one comes first now
+      const keys = itemKeys(item);
+      if (keys.some((key) => alerted[key] || seen.has(key))) return false;
+      keys.forEach((key) => seen.add(key));
+      return true;
+    })
+    .map((item) => ({
+      item,
+      rules: compiled.filter((rule) => rule.matches(item)).map((rule) => rule.name)
+    }))
+    .filter((match) => match.rules.length > 0);
+}
+
+// Body of a webhook request for one match
+export function webhookPayload(template, match, alertedAt) {
+  const { item, rules } = match;
+  const source = item.source ? item.source.name : item.provider;
+
+  switch (template) {
+    case 'slack':
+      // Slack mrkdwn links are <url|text>; those characters must be escaped
+      return {
+        text: `*[${rules.join(', ')}]* <${item.url}|${item.title.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')}> (${source})`
+      };
+    case 'discord':
+      return {
+        content: `**[${rules.join(', ')}]** ${item.title}\n${item.url} (${source})`
+      };
+    default:
+      return { event: 'techscope.alert', rules, alertedAt, item: serializeItem(item) };
+  }
+}
+
+// Arguments may use {title}, {url}, {rules} and {source}. The command runs
+// without a shell, so titles can never inject commands; the same values are
+// also passed as TECHSCOPE_* environment variables.
+function runCommand(sink, match) {
+  const { item, rules } = match;
+  const values = {
+    title: item.title,
+    url: item.url,
+    rules: rules.join(', '),
+    source: item.source ? item.source.name : item.provider || ''
+  };
+  const args = (sink.args || []).map((arg) => arg.replace(/\{(title|url|rules|source)\}/g, (placeholder, name) => values[name]));
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(sink.command, args, {
+      stdio: 'ignore',
+      timeout: COMMAND_TIMEOUT,
+      env: {
+        ...process.env,
+        TECHSCOPE_TITLE: values.title,
+        TECHSCOPE_URL: values.url,
+        TECHSCOPE_RULES: values.rules,
+        TECHSCOPE_SOURCE: values.source
+      }
+    });
+    child.on('error', reject);
+    child.on('exit', (code, signal) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`${sink.command} exited with ${signal || `code ${code}`}`));
+      }
+    });
+  });
+}
+
+function postWebhook(sink, match, alertedAt) {
+  return send(sink.url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(webhookPayload(sink.template, match, alertedAt)),
+    timeout: WEBHOOK_TIMEOUT,
+    // A POST that timed out may still have been posted; asking again could alert twice
+    retries: 0
+  });
+}
+
+function appendToFile(sink, match, alertedAt) {
+  fs.mkdirSync(path.dirname(sink.path), { recursive: true });
+  const line = JSON.stringify({ alertedAt, rules: match.rules, ...serializeItem(match.item) });
+  fs.appendFileSync(sink.path, `${line}\n`);
+}
+
+function deliver(sink, match, alertedAt) {
+  switch (sink.type) {
+    case 'command':
+      return runCommand(sink, match);
+    case 'webhook':
+      return postWebhook(sink, match, alertedAt);
+    case 'file':
+      return Promise.resolve().then(() => appendToFile(sink, match, alertedAt));
+    default:
+      return Promise.reject(new Error(`Unknown sink type "${sink.type}"`));
+  }
+}
+
+// Fetch once, send new matches to every sink and remember them. A match
+// counts as sent once any sink took it (or when there are no sinks), so one
+// broken sink does not make the others repeat themselves.
+// The first poll (no alerted list yet) only remembers what already matches,
+// so starting to watch does not send a burst of old items; options.catchUp
+// sends them anyway.
+// Returns { matches, skipped, errors } where skipped counts matches that were
+// only remembered and errors are source and sink problems.
+export async function pollOnce(settings, watchConfig, options = {}, now = Date.now()) {
+  const fetched = await fetchFromProviders(settings.limit, {
+    sources: settings.sources,
+    exclude: settings.exclude,
+    providerOptions: providerOptionsFor(settings)
+  });
+  const { errors } = fetched;
+  // One alert per story, however many sources posted it
+  const items = settings.mergeDuplicates === false ? fetched.items : await dedupeItems(fetched.items);
+  const sourceErrors = errors.map((error) => `${error.name} unavailable: ${error.message}`);
+
+  const firstPoll = !fs.existsSync(getAlertedPath());
+  const alerted = loadAlerted(now);
+  const matches = matchRules(items, watchConfig.rules, alerted);
+  const alertedAt = new Date(now).toISOString();
+  const remember = (item) => itemKeys(item).forEach((key) => {
+    alerted[key] = alertedAt;
+  });
+
+  if (firstPoll && !options.catchUp) {
+    matches.forEach((match) => remember(match.item));
+    writeJSON(getAlertedPath(), alerted);
+    return { matches: [], skipped: matches.length, errors: sourceErrors };
+  }
+
+  const sinkErrors = [];
+
+  for (const match of matches) {
+    const results = await Promise.allSettled(
+      watchConfig.sinks.map((sink) => deliver(sink, match, alertedAt))
+    );
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        sinkErrors.push(`${describeSink(watchConfig.sinks[index])}: ${result.reason.message}`);
+      }
+    });
+    if (results.length === 0 || results.some((result) => result.status === 'fulfilled')) {
+      remember(match.item);
+    }
+  }
+
+  writeJSON(getAlertedPath(), alerted);
+  return { matches, skipped: 0, errors: [...sourceErrors, ...sinkErrors] };
+}
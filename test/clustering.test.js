@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_THRESHOLD,
+  tokenize,
+  stem,
+  itemTerms,
+  buildVectors,
+  cosineSimilarity,
+  clusterHeadline,
+  clusterItems
+} from '../src/clustering.js';
+
+const FIXTURES = [
+  ['Rust 1.82 released', ['rust']],
+  ['Announcing Rust 1.82: what is new in the release', ['rust']],
+  ['Rust 1.82 release notes', []],
+  ['PostgreSQL 17 performance improvements', ['postgres']],
+  ['What is new in PostgreSQL 17 performance', ['databases']],
+  ['Show HN: A tiny terminal game written in Zig', []],
+  ['Why I stopped using Kubernetes for side projects', ['devops']]
+].map(([title, tags], index) => ({ id: String(index), provider: 'fixture', title, tags, type: 'news' }));
+
+function groups(clusters) {
+  return clusters.map((cluster) => cluster.items.map((item) => item.id));
+}
+
+test('tokenize drops stopwords and bare numbers but keeps tech names', () => {
+  assert.deepEqual(tokenize('Show HN: The new Node.js 22 release, built with C++ and .NET'), [
+    'node.js', 'built', 'c++', '.net'
+  ]);
+  assert.deepEqual(tokenize(''), []);
+});
+
+test('stem folds inflections onto one term', () => {
+  assert.equal(stem('release'), stem('released'));
+  assert.equal(stem('releases'), stem('release'));
+  assert.equal(stem('running'), 'run');
+  assert.equal(stem('libraries'), 'library');
+  assert.equal(stem('classes'), 'class');
+  // Short words and words with symbols are left alone
+  assert.equal(stem('bus'), 'bus');
+  assert.equal(stem('go'), 'go');
+  assert.equal(stem('node.js'), 'node.js');
+});
+
+test('itemTerms stems title words and adds tags', () => {
+  assert.deepEqual(itemTerms(FIXTURES[3]), ['postgresql', 'performanc', 'improv', 'postgr']);
+});
+
+test('buildVectors gives unit vectors compared by cosine similarity', () => {
+  const vectors = buildVectors(FIXTURES.map(itemTerms));
+  const norm = Math.sqrt([...vectors[0].values()].reduce((sum, weight) => sum + weight * weight, 0));
+  assert.ok(Math.abs(norm - 1) < 1e-9);
+
+  assert.ok(Math.abs(cosineSimilarity(vectors[0], vectors[0]) - 1) < 1e-9);
+  assert.ok(Math.abs(cosineSimilarity(vectors[0], vectors[1]) - 1) < 1e-9);
+  assert.ok(cosineSimilarity(vectors[0], vectors[2]) > 0.6);
+  assert.ok(cosineSimilarity(vectors[3], vectors[4]) > DEFAULT_THRESHOLD);
+  assert.ok(cosineSimilarity(vectors[3], vectors[4]) < 0.6);
+  assert.equal(cosineSimilarity(vectors[0], vectors[3]), 0);
+});
+
+test('buildVectors returns an empty vector for stopword-only documents', () => {
+  const [vector] = buildVectors([tokenize('what is new')]);
+  assert.equal(vector.size, 0);
+});
+
+test('clusterItems groups related titles at the default threshold', () => {
+  const clusters = clusterItems(FIXTURES);
+  assert.deepEqual(groups(clusters), [['0', '1', '2'], ['3', '4'], ['5'], ['6']]);
+  assert.deepEqual(clusters.map((cluster) => cluster.id), [0, 1, 2, 3]);
+});
+
+test('clusterItems splits looser groups at a higher threshold', () => {
+  assert.deepEqual(groups(clusterItems(FIXTURES, 0.6)), [['0', '1', '2'], ['3'], ['4'], ['5'], ['6']]);
+});
+
+test('clusterItems is deterministic', () => {
+  assert.deepEqual(groups(clusterItems(FIXTURES)), groups(clusterItems(FIXTURES)));
+  assert.deepEqual(clusterItems([]), []);
+});
+
+test('clusterHeadline uses the terms shared by the items', () => {
+  const [rust, postgres] = clusterItems(FIXTURES);
+  assert.equal(rust.headline, 'Rust 1.82');
+  assert.equal(postgres.headline, 'PostgreSQL performance');
+});
+
+test('clusterHeadline spells known tech names and follows title order', () => {
+  assert.equal(clusterHeadline([
+    { title: 'rust is great', tags: [] },
+    { title: 'Using rust for the web', tags: [] }
+  ]), 'Rust');
+  assert.equal(clusterHeadline([
+    { title: 'Vector search in postgresql', tags: ['postgresql'] },
+    { title: 'PostgreSQL vector search extension', tags: [] }
+  ]), 'Vector search PostgreSQL');
+});
+
+test('clusterHeadline falls back to a shortened title for single items', () => {
+  assert.equal(clusterHeadline([FIXTURES[5]]), 'A tiny terminal game written in Zig');
+  assert.equal(
+    clusterHeadline([{ title: 'Show HN: I built a very long title for a tiny side project that never ends', tags: [] }]),
+    'I built a very long title for a tiny…'
+  );
+  assert.equal(clusterHeadline([]), '');
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { DEFAULT_CONFIG, validateConfigValue, setConfigValue, resolveSettings, readConfig } from '../src/config.js';
+
+test('key bindings must be one character not used by another action', () => {
+  assert.equal(validateConfigValue('keyBindings.open', 'g'), true);
+  assert.equal(validateConfigValue('keyBindings.open', 'o'), true);
+  assert.equal(validateConfigValue('keyBindings.open', 'go'), 'Key bindings must be a single character');
+  assert.equal(validateConfigValue('keyBindings.open', 'q'), '"q" is already the key for quit');
+});
+
+test('key bindings cannot take keys the dashboard handles itself', () => {
+  for (const key of ['/', 'n', 'N', '1', '9']) {
+    assert.match(validateConfigValue('keyBindings.sort', key), /taken by the dashboard/);
+  }
+});
+
+test('setConfigValue checks key bindings against the config being changed', () => {
+  const config = setConfigValue(structuredClone(DEFAULT_CONFIG), 'keyBindings.open', 'g');
+  assert.equal(config.keyBindings.open, 'g');
+  assert.throws(() => setConfigValue(config, 'keyBindings.refresh', 'g'), /already the key for open/);
+  assert.equal(setConfigValue(config, 'keyBindings.refresh', 'o').keyBindings.refresh, 'o');
+});
+
+test('resolveSettings validates --limit like config set', () => {
+  assert.equal(resolveSettings(DEFAULT_CONFIG, { limit: '50' }).limit, 50);
+  for (const limit of ['1000', '0', 'abc', '1.5']) {
+    assert.throws(() => resolveSettings(DEFAULT_CONFIG, { limit }), /limit must be a whole number/);
+  }
+  assert.equal(resolveSettings(DEFAULT_CONFIG, {}).limit, DEFAULT_CONFIG.limit);
+});
+
+test('readConfig puts back the defaults for values broken by a hand edit', (t) => {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'techscope-config-'));
+  const previous = process.env.XDG_CONFIG_HOME;
+  process.env.XDG_CONFIG_HOME = home;
+  t.after(() => {
+    if (previous === undefined) delete process.env.XDG_CONFIG_HOME;
+    else process.env.XDG_CONFIG_HOME = previous;
+    fs.rmSync(home, { recursive: true, force: true });
+  });
+
+  fs.mkdirSync(path.join(home, 'techscope'));
+  fs.writeFileSync(path.join(home, 'techscope', 'config.json'), JSON.stringify({
+    limit: 'abc',
+    sort: 'newest',
+    minScore: 5,
+    keyBindings: { open: 'qq', refresh: 'x', sort: 'x' }
+  }));
+
+  const { config, problems } = readConfig();
+  assert.equal(config.limit, DEFAULT_CONFIG.limit);
+  assert.equal(config.minScore, 5);
+  assert.deepEqual(
+    { open: config.keyBindings.open, refresh: config.keyBindings.refresh, sort: config.keyBindings.sort },
+    { open: 'o', refresh: 'r', sort: 'x' }
+  );
+  assert.equal(problems.length, 3);
+  assert.match(problems[0], /^limit must be a number/);
+  assert.match(problems[1], /^keyBindings\.open: /);
+  assert.match(problems[2], /^keyBindings\.refresh: "x" is already the key for sort/);
+});
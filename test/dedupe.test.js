@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { canonicalUrl, mergeDuplicates } from '../src/dedupe.js';
+
+function item(provider, id, title, url, extra = {}) {
+  return { provider, id, title, url, source: { name: provider }, tags: [], ...extra };
+}
+
+test('canonicalUrl drops tracking parameters and sorts the rest', () => {
+  assert.equal(
+    canonicalUrl('https://example.com/post?utm_source=hn&b=2&ref=top&a=1&fbclid=x#comments'),
+    'example.com/post?a=1&b=2'
+  );
+  assert.equal(canonicalUrl('https://example.com/post?utm_medium=social'), 'example.com/post');
+});
+
+test('canonicalUrl ignores the scheme, www and mobile hosts', () => {
+  const expected = 'example.com/post';
+  for (const url of [
+    'http://example.com/post',
+    'https://www.example.com/post',
+    'https://m.example.com/post',
+    'https://mobile.example.com/post',
+    'https://EXAMPLE.com/post'
+  ]) {
+    assert.equal(canonicalUrl(url), expected, url);
+  }
+  assert.equal(canonicalUrl('https://example.com:8080/post'), 'example.com:8080/post');
+});
+
+test('canonicalUrl drops trailing slashes and index pages', () => {
+  assert.equal(canonicalUrl('https://example.com/blog/'), 'example.com/blog');
+  assert.equal(canonicalUrl('https://example.com/blog/index.html'), 'example.com/blog');
+  assert.equal(canonicalUrl('https://example.com/blog/index.php'), 'example.com/blog');
+  assert.equal(canonicalUrl('https://example.com/'), 'example.com');
+});
+
+test('canonicalUrl expands youtu.be and redd.it links', () => {
+  assert.equal(canonicalUrl('https://youtu.be/dQw4w9WgXcQ?si=abc'), 'youtube.com/watch?v=dQw4w9WgXcQ');
+  assert.equal(canonicalUrl('https://www.youtube.com/watch?v=dQw4w9WgXcQ'), 'youtube.com/watch?v=dQw4w9WgXcQ');
+  assert.equal(canonicalUrl('https://redd.it/abc123'), 'reddit.com/comments/abc123');
+});
+
+test('canonicalUrl rejects anything but http(s) URLs', () => {
+  assert.equal(canonicalUrl('not a url'), null);
+  assert.equal(canonicalUrl('ftp://example.com/file'), null);
+  assert.equal(canonicalUrl(undefined), null);
+});
+
+test('mergeDuplicates merges copies of one URL into the first', () => {
+  const hn = item('hackernews', '1', 'A post', 'https://example.com/post?utm_source=hn', {
+    score: 100, comments: 40, discussionUrl: 'https://news.ycombinator.com/item?id=1', tags: ['rust']
+  });
+  const reddit = item('reddit', 'a', 'A post (reddit title)', 'https://www.example.com/post/', { score: 7, tags: ['rust', 'web'] });
+  const other = item('lobsters', 'x', 'Something else', 'https://example.org/');
+
+  const merged = mergeDuplicates([hn, other, reddit]);
+  assert.equal(merged.length, 2);
+  assert.equal(merged[1], other);
+
+  const [story] = merged;
+  assert.equal(story.id, '1');
+  assert.equal(story.title, 'A post');
+  assert.deepEqual(story.tags, ['rust', 'web']);
+  assert.deepEqual(story.sources.map((source) => [source.provider, source.score, source.item]), [
+    ['hackernews', 100, hn],
+    ['reddit', 7, reddit]
+  ]);
+  assert.equal(story.sources[0].discussionUrl, 'https://news.ycombinator.com/item?id=1');
+});
+
+test('mergeDuplicates merges near-identical titles across sources', () => {
+  const lobsters = item('lobsters', 'x', 'Show HN: Why we rewrote our build system in Rust', 'https://example.com/a');
+  const reddit = item('reddit', 'a', 'Why we rewrote the build system in Rust', 'https://mirror.example.net/b');
+
+  const [story] = mergeDuplicates([lobsters, reddit]);
+  assert.deepEqual(story.sources.map((source) => source.provider), ['lobsters', 'reddit']);
+});
+
+test('mergeDuplicates keeps same-source and short look-alike titles apart', () => {
+  const first = item('reddit', 'a', 'Why we rewrote our build system in Rust', 'https://example.com/a');
+  const second = item('reddit', 'b', 'Why we rewrote our build system in Rust', 'https://example.com/b');
+  assert.equal(mergeDuplicates([first, second]).length, 2);
+
+  const short = [
+    item('hackernews', '1', 'Rust 1.82', 'https://example.com/a'),
+    item('reddit', 'a', 'Rust 1.82', 'https://example.com/b')
+  ];
+  assert.equal(mergeDuplicates(short).length, 2);
+
+  const different = [
+    item('hackernews', '1', 'Why we rewrote our build system in Rust', 'https://example.com/a'),
+    item('reddit', 'a', 'Why we rewrote our test suite in Go', 'https://example.com/b')
+  ];
+  assert.equal(mergeDuplicates(different).length, 2);
+});
+
+test('mergeDuplicates leaves single items untouched', () => {
+  const single = item('hackernews', '1', 'A post', 'https://example.com/post');
+  const [result] = mergeDuplicates([single]);
+  assert.equal(result, single);
+  assert.equal(result.sources, undefined);
+  assert.deepEqual(mergeDuplicates([]), []);
+});
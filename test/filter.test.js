@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileFilter, filterItems } from '../src/filter.js';
+
+const ITEMS = [
+  ['react', 'React Server Components explained', ['react', 'javascript'], 'Hacker News', 'https://www.react.dev/blog'],
+  ['vue', 'Vue 3.5 released', ['vue', 'javascript'], 'Reddit', 'https://blog.vuejs.org/posts/vue-3-5'],
+  ['rust', 'Rustlang async in practice', ['rust'], 'Lobsters', 'https://without.boats/blog/async'],
+  ['java', 'Java 23 and TypeScript interop', ['java', 'typescript'], 'daily.dev', 'https://inside.java/news'],
+  ['ts', 'TypeScript 5.6 with React support', ['typescript'], 'Hacker News', 'https://devblogs.microsoft.com/typescript']
+].map(([id, title, tags, source, url]) => ({ id, title, tags, source: { name: source }, url }));
+
+function ids(query) {
+  return filterItems(ITEMS, query).map((item) => item.id);
+}
+
+test('adjacent terms and AND both require every term', () => {
+  assert.deepEqual(ids('react javascript'), ['react']);
+  assert.deepEqual(ids('react AND javascript'), ['react']);
+  assert.deepEqual(ids('REACT'), ['react', 'ts']);
+});
+
+test('OR, NOT and -term', () => {
+  assert.deepEqual(ids('rust OR vue'), ['vue', 'rust']);
+  assert.deepEqual(ids('javascript NOT vue'), ['react']);
+  assert.deepEqual(ids('javascript -vue'), ['react']);
+  assert.deepEqual(ids('NOT NOT rust'), ['rust']);
+});
+
+test('AND binds tighter than OR, and parentheses group', () => {
+  assert.deepEqual(ids('rust OR react typescript'), ['rust', 'ts']);
+  assert.deepEqual(ids('(rust OR react) typescript'), ['ts']);
+  assert.deepEqual(ids('NOT (react OR rust) javascript'), ['vue']);
+});
+
+test('quotes match a phrase and regexes are case-insensitive', () => {
+  assert.deepEqual(ids('"server components"'), ['react']);
+  assert.deepEqual(ids('"components server"'), []);
+  assert.deepEqual(ids('/^vue \\d/'), ['vue']);
+  assert.deepEqual(ids('/rust(lang)?/g'), ['rust']);
+  // Regexes ignore the g flag, so matching twice gives the same answer
+  const filter = compileFilter('/typescript/g');
+  assert.equal(filter(ITEMS[4]), true);
+  assert.equal(filter(ITEMS[4]), true);
+});
+
+test('field prefixes restrict a term to one field', () => {
+  assert.deepEqual(ids('typescript'), ['java', 'ts']);
+  assert.deepEqual(ids('tag:typescript'), ['java', 'ts']);
+  assert.deepEqual(ids('title:react'), ['react', 'ts']);
+  assert.deepEqual(ids('tag:react'), ['react']);
+  assert.deepEqual(ids('source:"hacker news"'), ['react', 'ts']);
+  assert.deepEqual(ids('domain:react.dev'), ['react']);
+  assert.deepEqual(ids('domain:www'), []);
+  assert.deepEqual(ids('-source:reddit javascript'), ['react']);
+  assert.deepEqual(ids('/^rust/ OR domain:/\\.java$/'), ['rust', 'java']);
+});
+
+test('words that only look like operators or fields are terms', () => {
+  assert.deepEqual(ids('and'), ['java']);
+  assert.deepEqual(ids('author:nobody'), []);
+});
+
+test('empty queries match everything and several queries are ANDed', () => {
+  assert.equal(ids('').length, ITEMS.length);
+  assert.equal(ids('   ').length, ITEMS.length);
+  assert.deepEqual(ids(['javascript', 'NOT react']), ['vue']);
+});
+
+test('malformed queries throw', () => {
+  assert.throws(() => compileFilter('NOT'), /ends unexpectedly/);
+  assert.throws(() => compileFilter('rust AND'), /ends unexpectedly/);
+  assert.throws(() => compileFilter('OR rust'), /Unexpected "OR"/);
+  assert.throws(() => compileFilter('()'), /Unexpected "\)"/);
+  assert.throws(() => compileFilter('(rust OR vue'), /Missing closing parenthesis/);
+  assert.throws(() => compileFilter('rust)'), /Unexpected "\)"/);
+  assert.throws(() => compileFilter('"server components'), /Unterminated quote/);
+  assert.throws(() => compileFilter('/rust'), /Unterminated regular expression/);
+  assert.throws(() => compileFilter('/(rust/'), /Invalid regular expression/);
+  assert.throws(() => compileFilter('tag:'), /Expected a term/);
+});
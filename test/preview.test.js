@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractArticle } from '../src/preview.js';
+
+const SENTENCE = 'This paragraph has enough words in it to read like real prose does.';
+
+function page(head, body) {
+  return `<!doctype html><html><head>${head}</head><body>${body}</body></html>`;
+}
+
+test('extractArticle reads metadata and the article blocks in order', () => {
+  const article = extractArticle(page(
+    '<title>Post | Blog</title><meta property="og:title" content="Why &amp; how">'
+      + '<meta name="author" content="Ada Lovelace"><meta property="og:site_name" content="Ada\'s Blog">',
+    '<nav><p>Home, about and other links</p></nav><article><h1>Why &amp; how</h1>'
+      + `<p>${SENTENCE}</p>`.repeat(5)
+      + '<h2>The code</h2><pre><code>if (a &lt; b) {\n  run();\n}\n</code></pre>'
+      + '<ul><li>First point of the list</li><li>Second point of the list</li></ul>'
+      + '<blockquote><p>Quoted words of wisdom.</p></blockquote><p>Share</p></article>'
+      + '<footer><p>Copyright and other footer text</p></footer>'
+  ));
+
+  assert.equal(article.title, 'Why & how');
+  assert.equal(article.byline, 'Ada Lovelace');
+  assert.equal(article.siteName, "Ada's Blog");
+  assert.deepEqual(article.blocks.map((block) => block.type), [
+    'paragraph', 'paragraph', 'paragraph', 'paragraph', 'paragraph', 'heading', 'code', 'item', 'item', 'quote'
+  ]);
+  assert.equal(article.blocks[6].text, 'if (a < b) {\n  run();\n}');
+  assert.equal(article.blocks[9].text, 'Quoted words of wisdom.');
+});
+
+test('extractArticle ends blocks without closing tags at the next block', () => {
+  const article = extractArticle(page(
+    '<title>Essay</title>',
+    `<p>${SENTENCE}\n`.repeat(10) + '<ul><li>First point of the list<li>Second point of the list</ul>'
+      + '<blockquote>A quote without a paragraph</blockquote><p>The last paragraph runs to the end.'
+  ));
+
+  assert.equal(article.blocks.length, 14);
+  assert.equal(article.blocks[0].text, SENTENCE);
+  assert.deepEqual(article.blocks.slice(10), [
+    { type: 'item', text: 'First point of the list' },
+    { type: 'item', text: 'Second point of the list' },
+    { type: 'quote', text: 'A quote without a paragraph' },
+    { type: 'paragraph', text: 'The last paragraph runs to the end.' }
+  ]);
+});
+
+test('extractArticle keeps markup inside code blocks as code', () => {
+  const article = extractArticle(page('', `<p>${SENTENCE}</p>`.repeat(5) + '<pre><p>not a paragraph</p>\n<li>nor an item</pre>'));
+  assert.equal(article.blocks.at(-1).type, 'code');
+  assert.equal(article.blocks.at(-1).text, 'not a paragraph\nnor an item');
+});
+
+test('extractArticle falls back to the description when there is no article text', () => {
+  const article = extractArticle(page(
+    '<meta property="og:description" content="A page rendered by scripts.">',
+    '<div id="app"></div><p>Loading...</p>'
+  ));
+  assert.deepEqual(article.blocks, []);
+  assert.equal(article.description, 'A page rendered by scripts.');
+});